@@ -9,21 +9,46 @@
  * Copyright James McDermott 2020
  * Licensed for use under GPL3
  *
- * This has only been tested under Node.
+ * This file is the environment-independent core. It can be
+ * require'd (or import'ed) in Node, or loaded with a <script> tag in
+ * a webpage after lodash, mersennetwister and mathjs. Anything that
+ * needs the file system lives in GEnode.js, and anything that needs
+ * the DOM lives in GEbrowser.js.
  *
  * sudo apt install node npm
- * npm install mathjs
+ * npm install lodash mersennetwister mathjs
+ * node GEnode.js
  *
  * Some implementation/algorithm details follow:
  *
  * We represent an individual as a list [genome, phenotype,
- * used_codons, fitness].
+ * used_codons, fitness, wraps]. The fitness function may return
+ * {fitness, details} instead of a fitness value, and we store details
+ * (eg tuned constants, see sr_problem) as ind[7].
+ *
+ * When the mapper runs out of codons it can wrap around to the start
+ * of the genome, up to max_wraps times (default 0, ie no wrapping).
+ * If it still runs out the individual is invalid: it is discarded
+ * and counted in this.invalids (this generation) and
+ * this.total_invalids.
  *
  * Crossover and mutation run inside the used region.
  *
- * We don't have sensible initialisation, but we have a cache
- * preventing duplicates from being added to the population. This
- * tends to prevent non-"sensible" outcomes at initialisation.
+ * If the fitness function throws (or its Promise rejects), or gives
+ * NaN or Infinity, eg by dividing by zero, the individual gets the
+ * penalty fitness instead (see the penalty option) and is counted in
+ * this.failures (this generation) and this.total_failures. For
+ * symbolic regression, grammars can use the protected operators in
+ * protected_functions below, eg pdiv(<e>, <e>), which give a value
+ * where the usual ones fail.
+ *
+ * By default we initialise with random genomes, and a cache
+ * preventing duplicates from being added to the population tends to
+ * prevent non-"sensible" outcomes. Sensible initialisation (ramped
+ * half-and-half) and PI grow are available as options: they build
+ * derivation trees within a range of depths and then reverse-derive a
+ * genome for each tree, choosing codon values at random among those
+ * that give the right production. The cache is used there too.
  *
  * Max codon size is set to LCM(rule lengths). This is much smaller
  * than the values of 100 or 1000 often used in research, but it
@@ -31,12 +56,16 @@
  * probable. Incrementing a codon is guaranteed to make a change. It
  * also gives us nice neat genomes.
  *
- * We have a maxdepth. When it is reached, we increment the codon
- * until we find a nonrecursive choice. (This change doesn't affect
- * the genome, but it is deterministic so it doesn't need to.)
- * Howver, we only detect direct recursion, not indirect.
+ * We have a maxdepth. The start symbol is expanded at depth 0, its
+ * children at depth 1, and so on, and no NT is expanded deeper than
+ * maxdepth. From the grammar we know the minimum depth needed to
+ * finish each production (taking direct and indirect recursion into
+ * account), so whenever the chosen production can't finish within
+ * the remaining depth, we increment the codon until we find one that
+ * can. (This change doesn't affect the genome, but it is
+ * deterministic so it doesn't need to.)
  *
- * We require the user to write the grammar as a JSON object, eg:
+ * The grammar can be written as a JSON object, eg:
  *
  {
   "<e>": [[ "(", "<e>", "<op>", "<e>", ")" ], [ "(", "<uop>", "<e>", ")"], [ "<var>" ]],
@@ -45,13 +74,134 @@
   "<uop>": [["-"]]
   }
 
- * The first <> symbol is assumed to be the start symbol.
+ * or in PonyGE-style BNF, eg:
  *
- * We depend on lodash and mathjs for a few things.
+ * # comments run to the end of the line
+ * <e>   ::= (<e><op><e>) | (<uop><e>)
+ *         | <var>
+ * <var> ::= x | y
+ * <op>  ::= + | .*
+ * <uop> ::= -
+ *
+ * In BNF, symbols in a production are separated by whitespace or by
+ * <> symbols, so (<e><op><e>) is the same as ( <e> <op> <e> ). Use
+ * quotes for terminals containing whitespace or special characters,
+ * eg " " or "|", or which look like nonterminals, eg "<br>" (but
+ * not like one the grammar defines). Alternatives can continue on
+ * the following lines. BNF text is parsed directly, never eval'ed.
+ *
+ * The first <> symbol is assumed to be the start symbol, unless the
+ * start_symbol option is given. loadGrammar checks the grammar (see
+ * checkGrammar) and throws an Error listing the offending rules if
+ * it would crash or hang the mapper. In Node, checkGrammarFile in
+ * GEnode.js prints the full report for a grammar file.
+ *
+ * The GE constructor takes the text of the grammar, not a filename:
+ * in Node use loadFile from GEnode.js to read it, in the browser use
+ * a FileReader.
+ *
+ * The last constructor argument is an object of further options:
+ *
+ * start_symbol: the start symbol, eg "<e>" (default: the first NT)
+ * init: "random" (default), "sensible" (ramped half-and-half) or
+ *   "pi_grow" (position-independent grow, ramped)
+ * init_depths: [min, max] tree depths for "sensible" and "pi_grow"
+ *   (default: the shallowest possible, maxdepth). If they allow too
+ *   few different individuals, init fills up with random ones.
+ * max_wraps: how many times the mapper may wrap the genome (default 0)
+ * pxover: the probability of crossover, else the two parents are
+ *   copied (default 1)
+ * mutation_strength: how many codons a mutation changes (default 1)
+ * selection: "truncation" (default), "rating" (default in interactive
+ *   mode), "direct", "tournament", "roulette", "rank", "lexicase", or
+ *   a function(ge, n) returning n parents from ge.pop. See the
+ *   selection_strategies object below.
+ * tournament_size: k for tournament selection (default 3)
+ * elitism: how many of the best survive unchanged into the next
+ *   generation (default 1). In interactive mode, these are chosen
+ *   among the individuals the user selected (rated above 0), highest
+ *   rated first.
+ * keep_selected: in interactive mode, keep all the selected
+ *   individuals unchanged, however many (default false)
+ * replacement: "generational" (default), "generation_gap",
+ *   "steady_state", "mu_plus_lambda" or "mu_comma_lambda"
+ * generation_gap: the proportion of the population replaced each
+ *   generation, for "generation_gap" (default 0.5). The best of the
+ *   rest survive, as if elitism were larger.
+ * offspring: children per step, ie lambda, for "steady_state"
+ *   (default 1) and "mu_plus_lambda" or "mu_comma_lambda" (default
+ *   popsize). popsize is mu.
+ * replace: in steady-state mode, which individual a child replaces:
+ *   "worst" (default) or "inverse_tournament" (the worst of
+ *   tournament_size random individuals)
+ *
+ * In steady-state and (mu+lambda) and (mu,lambda) modes, after the
+ * first tell (which evaluates the initial population) ask() returns
+ * only the new children, and tell takes their fitness values, puts
+ * them into the population and breeds the next children. In
+ * steady-state mode each child replaces one individual, and evolve()
+ * counts popsize evaluations as a generation. In (mu+lambda) the
+ * best popsize of the parents and children survive, in (mu,lambda)
+ * the best popsize of the children.
+ *
+ * evaluator: an object with evaluate(phenotypes) returning a Promise
+ *   of fitness values in the same order, used by evolveAsync. See
+ *   WorkerEvaluator below, and workerEvaluator in GEnode.js and
+ *   GEbrowser.js, which evaluate in parallel in worker threads or
+ *   Web Workers.
+ * rng: a random number generator for this GE, with int() (an
+ *   unsigned 32-bit int) and random() (a float in [0, 1)) methods,
+ *   like MersenneTwister. By default each GE makes its own
+ *   MersenneTwister, seeded with seed if given, else with a random
+ *   seed which we keep in ge.seed, and every random decision goes
+ *   through it, so runs are reproducible from their seed.
+ *
+ * verbose: print statistics to the console each generation, and a
+ *   warning the first time fitness evaluation fails (default true)
+ * penalty: the fitness of individuals whose evaluation fails
+ *   (default -Infinity if maximising, else Infinity). For
+ *   multi-objective fitness it can be an array, one per objective.
+ *
+ * Events: ge.on(event, handler) registers a handler for
+ *
+ * "evaluated": handler(individuals) when tell receives fitness values
+ * "newBest": handler(ind) when best_ever improves
+ * "generation": handler(stats) at the end of each generation, see
+ *   statistics(). All of them are also kept in ge.history.
+ * "done": handler(best_ever) when evolve or evolveAsync finish
+ * "evaluationError": handler(phenotype, error) when the fitness
+ *   function throws
+ *
+ * evolveAsync() is like evolve() but returns a Promise, and the
+ * fitness function may return a Promise (eg if it runs a simulation
+ * or waits for I/O).
+ *
+ * ge.toJSON() captures the whole state of a run, including the
+ * random number generator, as a plain object for JSON.stringify, and
+ * GE.fromJSON(obj, fitness) rebuilds it, so that a resumed run
+ * continues exactly as if it had not stopped. Functions (the fitness
+ * function, and selection or evaluator options) can't be saved, so
+ * fromJSON takes them again. A custom rng needs getState() and
+ * setState(state) methods to be saved. GEnode.js has file helpers, and
+ * GEbrowser.js localStorage and download helpers.
  *
- * FIXME:
- * Not sure how to make this a proper module that can be imported
- * by other js files running in Node, or by webpages.
+ * For lexicase selection the fitness function should have a true
+ * .per_case member and return an array of per-case values (errors if
+ * minimising). We store these in the individual as ind[5], and their
+ * sum as the fitness ind[3].
+ *
+ * For multi-objective evolution the fitness function's .maximise
+ * member is an array of Booleans, one per objective, and it returns
+ * an array of objective values, eg [error, size] with .maximise =
+ * [false, false] (see sr_quartic_size). We store these as ind[6] and
+ * the first (primary) objective as ind[3], which is what best_ever
+ * and the statistics track. Selection is then NSGA-II (Deb et al.
+ * 2002): each population we are told about is merged with the
+ * previous one and the best popsize by non-dominated rank and
+ * crowding distance survive to be parents. pareto_front() returns the
+ * current non-dominated individuals.
+ *
+ * We depend on lodash and mathjs for a few things.
  *
  * I will collect here some canvas/processing/HTML5 possibilities for generative art:
  * https://p5js.org/
@@ -65,25 +215,28 @@
 
 
 "use strict";
-var _ = require('lodash');
-var fs = require('fs');
-var MersenneTwister = require('mersennetwister');
-var mt = new MersenneTwister(); // we will seed it later
-var math = require('mathjs');
+if (typeof module !== "undefined" && module.exports) {
+	// in Node we require our dependencies. In the browser they are
+	// already globals, loaded by <script> tags before this file.
+	var _ = require('lodash');
+	var MersenneTwister = require('mersennetwister');
+	var math = require('mathjs');
+}
 
 
-// this is the GE class. Usage is simple, examples at the bottom of
-// the file.
+// this is the GE class. Usage is simple, examples in GEnode.js and
+// GEbrowser.js.
 class GE {
 	constructor(fitness, // can be null else must have a Boolean .maximise member
-				gram_file, 
+				grammar, // the grammar text, not a filename
 				popsize,
 				ngens,
-				pmut, // FIXME add pxover?
+				pmut, // pxover is an option
 				trunc,
 				maxdepth,
 				genomelength=200,
-				seed=null) {
+				seed=null,
+				options={}) { // see the top of the file
 
 		if (fitness == null) {
 			this.interactive = true;
@@ -94,29 +247,168 @@ class GE {
 			this.interactive = false;
 			this.fitness = fitness;
 		}
-		this.grammar = this.loadGrammar(gram_file);
+		this.multiobjective = Array.isArray(this.fitness.maximise);
+		if (this.multiobjective && options.replacement && options.replacement != "generational") {
+			throw new Error(options.replacement + " replacement is not available for multi-objective fitness");
+		}
+		// for a single objective, or the primary objective
+		this.maximise = this.multiobjective ? this.fitness.maximise[0] : this.fitness.maximise;
+		this.grammar_text = grammar; // for toJSON
+		// without a seed we pick one, and keep it so the run can be
+		// repeated (see settings)
+		this.seed = (seed === null && !options.rng) ? fresh_seed() : seed;
+		this.options = options;
+		this.grammar = this.loadGrammar(grammar, options.start_symbol);
 		this.popsize = popsize;
 		this.ngens = ngens;
 		this.pmut = pmut;
+		this.pxover = (options.pxover === undefined) ? 1 : options.pxover;
+		this.mutation_strength = options.mutation_strength || 1;
 		this.trunc = trunc;
 		this.maxdepth = maxdepth;
+		if (this.grammar.min_depths[this.grammar.start_rule] - 1 > maxdepth) {
+			console.warn("maxdepth " + maxdepth + " is too small for this grammar, using the shallowest productions");
+		}
 		this.genomelength = genomelength;
 		this.pop = new Array();
 		this.cache = new Set();
 		this.maxcodon = this.grammar.LCM;
 		this.gen = 0;
 		this.best_ever = null;
-		
-		if (!(seed === null)) {
-			mt.seed(seed);
+		this.nsga_parents = []; // evaluated survivors, for multi-objective
+		this.nsga_info = new Map(); // ind -> [rank, crowding distance]
+		this.max_wraps = options.max_wraps || 0;
+		this.evaluator = options.evaluator || null;
+		this.listeners = {}; // event -> [handler]
+		this.history = []; // statistics of each generation
+		if (options.verbose !== false) {
+			this.on("generation", stats => this.print_statistics(stats));
+			var warn = (p, e) => {
+				console.warn("fitness evaluation failed for " + p + ": " + (e && e.message || e) +
+							 " (further failures are only counted)");
+				this.off("evaluationError", warn);
+			};
+			this.on("evaluationError", warn);
+		}
+		this.evaluations = 0;
+		this.replacement = options.replacement || "generational";
+		if (!["generational", "generation_gap", "steady_state", "mu_plus_lambda", "mu_comma_lambda"].includes(this.replacement)) {
+			throw new Error("unknown replacement " + this.replacement);
+		}
+		this.elitism = (options.elitism === undefined) ? 1 : options.elitism;
+		this.keep_selected = options.keep_selected || false;
+		this.generation_gap = (this.replacement == "generation_gap") ? (options.generation_gap || 0.5) : 1.0;
+		this.offspring = options.offspring || ((this.replacement == "steady_state") ? 1 : popsize);
+		if (this.replacement == "mu_comma_lambda" && this.offspring < popsize) {
+			throw new Error("(mu,lambda) needs offspring (lambda) >= popsize (mu)");
+		}
+		this.replace = options.replace || "worst";
+		if (!["worst", "inverse_tournament"].includes(this.replace)) {
+			throw new Error("unknown steady-state replace " + this.replace);
+		}
+		this.children = null; // in steady-state mode, those awaiting evaluation
+		this.tournament_size = options.tournament_size || 3;
+		var selection = options.selection || (this.interactive ? "rating" : (this.multiobjective ? "nsga2" : "truncation"));
+		if (typeof selection == "function") {
+			this.selection = selection;
+		} else if (selection_strategies.hasOwnProperty(selection)) {
+			this.selection = selection_strategies[selection];
+		} else {
+			throw new Error("unknown selection strategy " + selection);
+		}
+		this.invalids = 0;
+		this.total_invalids = 0;
+		this.failures = 0;
+		this.total_failures = 0;
+
+		this.init_method = options.init || "random";
+		if (!["random", "sensible", "pi_grow"].includes(this.init_method)) {
+			throw new Error("unknown init method " + this.init_method);
 		}
+		var shallowest = this.grammar.min_depths[this.grammar.start_rule] - 1;
+		var init_depths = options.init_depths || [shallowest, maxdepth];
+		this.init_depths = [Math.max(init_depths[0], shallowest), Math.min(init_depths[1], maxdepth)];
+		if (this.init_depths[0] > this.init_depths[1]) {
+			this.init_depths[0] = this.init_depths[1];
+		}
+
+
+		// each GE has its own random number generator, so that runs
+		// are reproducible and instances don't disturb each other
+		this.rng = options.rng || new MersenneTwister(this.seed);
+	}
+
+	set_params(params) {
+		// change some parameters of a running session, eg from a
+		// settings panel: params can have popsize, pmut, maxdepth,
+		// genomelength, seed (which restarts the rng) and
+		// mutation_strength. they apply from the next population we
+		// breed, so a new popsize shows after the next tell.
+		for (var k of ["popsize", "pmut", "maxdepth", "genomelength"]) {
+			if (params[k] !== undefined) {
+				this[k] = params[k];
+			}
+		}
+		if (params.popsize !== undefined && this.options.offspring === undefined && this.replacement != "steady_state") {
+			this.offspring = params.popsize;
+		}
+		if (params.maxdepth !== undefined) {
+			this.init_depths = this.init_depths.map(d => Math.min(d, params.maxdepth));
+		}
+		if (params.mutation_strength !== undefined) {
+			this.mutation_strength = params.mutation_strength;
+			// in the options too so checkpoints keep it
+			this.options = Object.assign({}, this.options, {"mutation_strength": params.mutation_strength});
+		}
+		if (params.seed !== undefined && params.seed !== this.seed && !this.options.rng) {
+			this.seed = (params.seed === null) ? fresh_seed() : params.seed;
+			this.rng = new MersenneTwister(this.seed);
+		}
+	}
+
+	randrange(n) {
+		// random int in [0, n) from this.rng
+		return randrange(this.rng, n);
+	}
+
+	random_choice(L) {
+		return random_choice(this.rng, L);
 	}
 
 	init() {
 		// initialise
+		var mindepth, maxdepth;
+		[mindepth, maxdepth] = this.init_depths;
+		var ndepths = maxdepth - mindepth + 1;
+		var tries = 0;
+		var stalled = 0; // tries since we last added an individual
+		var random = (this.init_method == "random");
+		this.invalids = 0;
 		while (this.pop.length < this.popsize) {
-			var g = this.random_ind(this.grammar, this.maxdepth);
+			var g;
+			if (!random && stalled > this.popsize * 2) {
+				// the init depths don't allow popsize different
+				// phenotypes, so as in breed we give up and fill the
+				// rest with random individuals
+				console.warn("init_depths " + this.init_depths.join("-") + " give too few different individuals, using random ones");
+				random = true;
+			}
+			if (random) {
+				g = this.random_ind();
+			} else {
+				// ramped: cycle through the depths, and for sensible
+				// initialisation alternate between grow and full
+				var depth = mindepth + tries % ndepths;
+				var method = this.init_method;
+				if (method == "sensible") {
+					method = (Math.floor(tries / ndepths) % 2 == 0) ? "grow" : "full";
+				}
+				g = this.sensible_ind(depth, method);
+			}
+			var n = this.pop.length;
 			this.mapAndTryAddIndToPop(g, this.pop);
+			stalled = (this.pop.length > n) ? 0 : stalled + 1;
+			tries++;
 		}
 
 	    // init value for best ever
@@ -134,40 +426,326 @@ class GE {
 				this.cache.add(p);
 				pop.push(ind);
 			}
+		} else {
+			this.invalids++;
+			this.total_invalids++;
 		}
 	}		
 
 	evolve() {
-		// run generations
-		for (this.gen = 0; this.gen < this.ngens; this.gen++) {
-			var x = this.ask();
-			// xi[1] is the phenotype
-			this.tell(_.map(x, xi => this.fitness(xi[1])));
+		// run generations, continuing from this.gen if we resumed
+		while (!this.finished()) {
+			this.step();
 		}
+		this.emit("done", this.best_ever);
 		return this.best_ever;
 	}
 
-	print_statistics() {
+	async evolveAsync() {
+		// like evolve, but fitness may be asynchronous
+		while (!this.finished()) {
+			this.tell(await this.evaluate(this.ask()));
+			this.next_gen();
+		}
+		this.emit("done", this.best_ever);
+		return this.best_ever;
+	}
+
+	step() {
+		// one ask-tell step: a generation, or in steady-state mode
+		// just the current children. useful for running a few
+		// generations at a time, eg in a Web Worker.
+		var x = this.ask();
+		// xi[1] is the phenotype
+		this.tell(_.map(x, xi => this.evaluate_one(xi[1])));
+		this.next_gen();
+	}
+
+	next_gen() {
+		// in steady-state mode tell sets this.gen as it goes
+		if (this.replacement != "steady_state") {
+			this.gen++;
+		}
+	}
+
+	finished() {
+		// have we run ngens generations?
+		if (this.replacement == "steady_state") {
+			return this.evaluations >= this.ngens * this.popsize;
+		}
+		return this.gen >= this.ngens;
+	}
+
+	evaluate(x) {
+		// returns a Promise of the fitness values of the individuals x,
+		// using the evaluator if we have one
+		var phenotypes = _.map(x, xi => xi[1]);
+		if (this.evaluator != null) {
+			return this.evaluator.evaluate(phenotypes);
+		}
+		return Promise.all(_.map(phenotypes, p => this.evaluate_one(p)));
+	}
+
+	evaluate_one(p) {
+		// the fitness of phenotype p, or null if the fitness function
+		// throws. a Promise is passed on, giving null if it rejects.
+		// tell gives null the penalty fitness.
+		var v;
+		try {
+			v = this.fitness(p);
+		} catch (e) {
+			this.emit("evaluationError", p, e);
+			return null;
+		}
+		if (v != null && typeof v.then == "function") {
+			return v.then(x => x, e => {
+				this.emit("evaluationError", p, e);
+				return null;
+			});
+		}
+		return v;
+	}
+
+	valid_fitness(v) {
+		// is v a usable fitness value? numbers must be finite
+		var ok = x => typeof x == "number" && isFinite(x);
+		if (this.multiobjective) {
+			return Array.isArray(v) && v.length == this.fitness.maximise.length && v.every(ok);
+		} else if (this.fitness.per_case) {
+			return Array.isArray(v) && v.length > 0 && v.every(ok);
+		}
+		return ok(v);
+	}
+
+	penalty(ncases) {
+		// the fitness value given when evaluation fails
+		var worst = max => max ? -Infinity : Infinity;
+		var penalty = this.options.penalty;
+		if (this.multiobjective) {
+			return this.fitness.maximise.map((max, k) =>
+				(penalty === undefined) ? worst(max) : (Array.isArray(penalty) ? penalty[k] : penalty));
+		}
+		if (penalty === undefined) {
+			penalty = worst(this.maximise);
+		}
+		if (this.fitness.per_case) {
+			return _.times(ncases, () => penalty);
+		}
+		return penalty;
+	}
+
+	on(event, handler) {
+		// register handler for event, see the top of the file
+		if (!this.listeners.hasOwnProperty(event)) {
+			this.listeners[event] = [];
+		}
+		this.listeners[event].push(handler);
+		return this;
+	}
+
+	off(event, handler) {
+		this.listeners[event] = _.without(this.listeners[event] || [], handler);
+		return this;
+	}
+
+	emit(event, ...args) {
+		for (var handler of (this.listeners[event] || [])) {
+			handler(...args);
+		}
+	}
+
+	end_generation() {
+		// called once at the end of each generation
+		var stats = this.statistics();
+		this.history.push(stats);
+		this.emit("generation", stats);
+		this.failures = 0;
+	}
+
+	statistics() {
+		// statistics of the current population, for the "generation" event
+		var evaluated = _.filter(this.pop, x => typeof x[3] == "number");
+		var fits = _.filter(_.map(evaluated, x => x[3]), isFinite); // not penalties
+		var mean = _.mean(fits);
+		var sorted = _.sortBy(fits);
+		var mid = Math.floor(sorted.length / 2);
+		return {
+			"gen": this.gen,
+			"evaluations": this.evaluations,
+			"best": this.sort_by_fitness(evaluated).map(x => x[3]).pop(),
+			"best_ever": this.best_ever[3],
+			"best_ever_phenotype": this.best_ever[1],
+			"best_ever_codons": this.best_ever[2],
+			"mean": mean,
+			"median": (sorted.length % 2 == 1) ? sorted[mid] : (sorted[mid-1] + sorted[mid]) / 2,
+			"std": Math.sqrt(_.mean(_.map(fits, f => (f - mean) * (f - mean)))),
+			"mean_codons": _.meanBy(this.pop, x => x[2]),
+			"mean_length": _.meanBy(this.pop, x => x[1].length),
+			"invalids": this.invalids,
+			"total_invalids": this.total_invalids,
+			"failures": this.failures,
+			"total_failures": this.total_failures,
+			"unique": new Set(_.map(this.pop, x => x[1])).size
+		};
+	}
+
+	print_statistics(stats) {
 		// generation #, # evaluations, used codons, fit, phenotype
-		console.log(this.gen, (this.gen+1) * this.popsize, this.best_ever[2], this.best_ever[3], this.best_ever[1]); 
+		console.log(stats.gen, stats.evaluations, stats.best_ever_codons, stats.best_ever, stats.best_ever_phenotype); 
 	}
 
     describe_ind(ind) {
-	// [genome, phenotype, used_codons, fitness]
+	// [genome, phenotype, used_codons, fitness, wraps]
 	
 	console.log("genome", ind[0].slice(0, ind[2]+1).toString());
 	console.log("codons", ind[2]);
+	console.log("wraps", ind[4]);
 	console.log("fitness", ind[3]);
 	console.log("phenotype", ind[1]);
 	var s = ind[1];
+	if (ind[7] !== undefined) {
+	    // details from the fitness function, eg tuned constants
+	    for (const [k, v] of Object.entries(ind[7])) {
+		console.log(k, Array.isArray(v) ? v.toString() : v);
+	    }
+	    s = ind[7].tuned_phenotype || s;
+	}
 	s = replaceAll(s, "x0", "x") // for human readers now
 	s = replaceAll(s, ".*", "*");
-	const node = math.parse(s);
-	console.log("latex", node.toTex());
-	console.log("simplified", math.simplify(s).toString())
+	try {
+	    const node = math.parse(s);
+	    console.log("latex", node.toTex());
+	    console.log("simplified", math.simplify(s).toString())
+	} catch (e) {
+	    // not an expression, eg the weasel
+	}
     }
 	
 
+	settings() {
+		// everything needed to repeat this run from the start, eg for
+		// the header of a run log. with a custom rng we give its state
+		// instead of the seed, so call this before init.
+		var s = {
+			"grammar": this.grammar_text,
+			"popsize": this.popsize,
+			"ngens": this.ngens,
+			"pmut": this.pmut,
+			"trunc": this.trunc,
+			"maxdepth": this.maxdepth,
+			"genomelength": this.genomelength,
+			"seed": this.seed,
+			"fitness": this.interactive ? null : (this.fitness.name || null),
+			"options": _.omitBy(this.options, (v, k) => k == "evaluator" || k == "rng" || typeof v == "function"),
+			"interactive": this.interactive
+		};
+		if (this.seed == null) {
+			s.rng = this.rngState();
+		}
+		return s;
+	}
+
+	toJSON() {
+		// the whole state of the run as a plain object, see
+		// GE.fromJSON. individuals may be shared (eg best_ever is
+		// usually also in pop) so we store each once and refer to
+		// them by index.
+		var inds = new Map();
+		var ref = function(ind) {
+			if (ind == null) {
+				return null;
+			}
+			if (!inds.has(ind)) {
+				inds.set(ind, inds.size);
+			}
+			return inds.get(ind);
+		};
+		var state = {
+			"pop": this.pop.map(ref),
+			"children": (this.children == null) ? null : this.children.map(ref),
+			"best_ever": ref(this.best_ever),
+			"nsga_parents": this.nsga_parents.map(ref),
+			"nsga_info": this.nsga_parents.map(x => encodeNonFinite(this.nsga_info.get(x))),
+			"cache": [...this.cache],
+			"gen": this.gen,
+			"evaluations": this.evaluations,
+			"invalids": this.invalids,
+			"total_invalids": this.total_invalids,
+			"failures": this.failures,
+			"total_failures": this.total_failures,
+			"history": this.history,
+			"rng": this.rngState()
+		};
+		state.individuals = [...inds.keys()].map(encodeNonFinite);
+		return {
+			"GEjs": 1, // format version
+			"grammar": this.grammar_text,
+			"params": [this.popsize, this.ngens, this.pmut, this.trunc, this.maxdepth, this.genomelength, this.seed],
+			"options": _.omitBy(this.options, (v, k) => k == "evaluator" || k == "rng" || typeof v == "function"),
+			"interactive": this.interactive,
+			"state": state
+		};
+	}
+
+	static fromJSON(obj, fitness=null, options={}) {
+		// rebuild a GE saved with toJSON. fitness is the fitness
+		// function (null in interactive mode), and options are merged
+		// over the saved ones, eg to give the evaluator again. called
+		// on a subclass, eg BrowserGE.fromJSON, we build one of those.
+		if (typeof obj == "string") {
+			obj = JSON.parse(obj);
+		}
+		if (obj.GEjs != 1) {
+			throw new Error("not a GEjs checkpoint, or an unknown version");
+		}
+		var p = obj.params;
+		var ge = new this(fitness, obj.grammar, p[0], p[1], p[2], p[3], p[4], p[5], null,
+						  Object.assign({}, obj.options, options));
+		ge.seed = p[6];
+		var st = obj.state;
+		var inds = st.individuals.map(decodeNonFinite);
+		var deref = i => (i == null) ? null : inds[i];
+		ge.pop = st.pop.map(deref);
+		ge.children = (st.children == null) ? null : st.children.map(deref);
+		ge.best_ever = deref(st.best_ever);
+		ge.nsga_parents = st.nsga_parents.map(deref);
+		ge.nsga_info = new Map(ge.nsga_parents.map((x, i) => [x, decodeNonFinite(st.nsga_info[i])]));
+		ge.cache = new Set(st.cache);
+		ge.gen = st.gen;
+		ge.evaluations = st.evaluations;
+		ge.invalids = st.invalids;
+		ge.total_invalids = st.total_invalids;
+		ge.failures = st.failures || 0;
+		ge.total_failures = st.total_failures || 0;
+		ge.history = st.history || [];
+		ge.setRngState(st.rng);
+		return ge;
+	}
+
+	rngState() {
+		// the state of this.rng for toJSON. a custom rng can provide
+		// getState and setState, else we can't save it
+		if (this.rng instanceof MersenneTwister) {
+			return {"mt": this.rng.mt.slice(), "mti": this.rng.mti};
+		} else if (typeof this.rng.getState == "function") {
+			return this.rng.getState();
+		}
+		console.warn("can't save the state of a custom rng without getState");
+		return null;
+	}
+
+	setRngState(state) {
+		if (state == null) {
+			return;
+		}
+		if (this.rng instanceof MersenneTwister) {
+			this.rng.mt = state.mt.slice();
+			this.rng.mti = state.mti;
+		} else {
+			this.rng.setState(state);
+		}
+	}
+
 	truncation_selection() {
 		return this.pop.slice(Math.floor(this.popsize * this.trunc), this.popsize-1);
 	}
@@ -184,55 +762,192 @@ class GE {
 	// create a GE object, ask for current population,
 	// then tell GE the fitvals.
 	ask() {
+		// in steady-state mode, just the children awaiting evaluation
+		if (this.children != null) {
+			return this.children;
+		}
 		return this.pop;
 	}
+
+	pareto_front() {
+		// the non-dominated individuals among those evaluated so far
+		// (in multi-objective mode)
+		return this.nsga_parents.filter(x => this.nsga_info.get(x)[0] == 0);
+	}
 	
 	tell(fitvals) {
 
-	    for (var i = 0; i < this.popsize; i++) {
-			this.pop[i][3] = fitvals[i];
+		var evaluated = this.ask();
+		fitvals = fitvals.map((v, i) => {
+			if (v != null && typeof v == "object" && !Array.isArray(v) && v.hasOwnProperty("fitness")) {
+				// a fitness value with details, eg tuned constants
+				evaluated[i][7] = v.details;
+				return v.fitness;
+			}
+			return v;
+		});
+		var ncases = (_.find(fitvals, x => Array.isArray(x)) || [0]).length;
+	    for (var i = 0; i < evaluated.length; i++) {
+			if (!this.valid_fitness(fitvals[i])) {
+				// the fitness function failed, see the top of the file
+				fitvals[i] = this.penalty(ncases);
+				this.failures++;
+				this.total_failures++;
+			}
+			if (this.multiobjective) {
+				// objective values, and the primary one as fitness
+				evaluated[i][6] = fitvals[i];
+				evaluated[i][3] = fitvals[i][0];
+			} else if (this.fitness.per_case) {
+				// per-case values, eg for lexicase
+				evaluated[i][5] = fitvals[i];
+				evaluated[i][3] = _.sum(fitvals[i]);
+			} else {
+				evaluated[i][3] = fitvals[i];
+			}
 		}
+		this.evaluations += evaluated.length;
+
+		this.emit("evaluated", evaluated);
 
 		// update best ever
-	    for (var i = 0; i < this.popsize; i++) {
-		if ((this.fitness.maximise && this.pop[i][3] >= this.best_ever[3]) ||
-		    (!this.fitness.maximise && this.pop[i][3] <= this.best_ever[3])) {
-		    this.best_ever = this.pop[i];
+		var old_best = this.best_ever[3];
+	    for (var i = 0; i < evaluated.length; i++) {
+		if ((this.maximise && evaluated[i][3] >= this.best_ever[3]) ||
+		    (!this.maximise && evaluated[i][3] <= this.best_ever[3])) {
+		    this.best_ever = evaluated[i];
 		}
 	    }
-		this.print_statistics();
+		if (this.best_ever[3] !== old_best) {
+			this.emit("newBest", this.best_ever);
+		}
+
+		if (["steady_state", "mu_plus_lambda", "mu_comma_lambda"].includes(this.replacement)) {
+			this.tell_offspring(evaluated);
+			return;
+		}
+		this.end_generation();
 		
 		
-		if (this.interactive) {
+		if (this.multiobjective) {
 
-			// just direct selection
-			var parents = this.direct_selection();
-			
-		} else {
+			// NSGA-II: merge with the previous parents and keep the
+			// best popsize as the new parents
+			var merged = _.uniqBy(this.nsga_parents.concat(this.pop), x => x[1]);
+			[this.pop, this.nsga_info] = nsga2_survivors(merged, this.fitness.maximise, this.popsize);
+			this.nsga_parents = this.pop;
+
+		} else if (!this.interactive) {
 			
-			// sort by fitness for truncation selection
-			if (this.fitness.maximise) {
-				this.pop = _.sortBy(this.pop, [function(x) { return x[3]}]);
-			} else {
-				this.pop = _.sortBy(this.pop, [function(x) { return -x[3]}]);
-			}			
-			var parents = this.truncation_selection();
+			// sort by fitness for truncation selection and elitism,
+			// so the best is at the end
+			this.pop = this.sort_by_fitness(this.pop);
 		}
 
 
 		// generational replacement
-		this.pop = this.create_new_pop(parents);
+		this.pop = this.create_new_pop();
+
+	}
+
+	tell_offspring(evaluated) {
+		// steady-state, (mu+lambda) and (mu,lambda): put the evaluated
+		// children into the population, then breed the next ones. the
+		// first time, evaluated is the initial population, so there
+		// is nothing to put in.
+		if (this.children != null) {
+			if (this.replacement == "steady_state") {
+				for (var child of evaluated) {
+					this.pop[this.replace_idx()] = child;
+				}
+			} else if (this.replacement == "mu_plus_lambda") {
+				this.pop = this.sort_by_fitness(this.pop.concat(evaluated)).slice(-this.popsize);
+			} else {
+				this.pop = this.sort_by_fitness(evaluated).slice(-this.popsize);
+			}
+		}
 
+		if (this.replacement == "steady_state") {
+			// a generation is popsize evaluations
+			var gen = Math.floor(this.evaluations / this.popsize) - 1;
+			if (gen > this.gen || this.children == null) {
+				this.gen = gen;
+				this.end_generation();
+				this.invalids = 0;
+			}
+		} else {
+			this.end_generation();
+			this.invalids = 0;
+		}
+
+		if (!this.interactive) {
+			// sort by fitness for truncation selection, so the best is at the end
+			this.pop = this.sort_by_fitness(this.pop);
+		}
+		this.children = this.breed([], this.offspring);
 	}
 
-	create_new_pop(parents) {
+	replace_idx() {
+		// steady-state: the index in pop of the individual a child
+		// will replace, ie the worst overall or the worst of a random
+		// tournament
+		var idxs = _.range(this.pop.length);
+		if (this.replace == "inverse_tournament") {
+			idxs = _.times(this.tournament_size, () => this.randrange(this.pop.length));
+		}
+		var worst = idxs[0];
+		for (var i of idxs) {
+			if (this.better(this.pop[worst][3], this.pop[i][3])) {
+				worst = i;
+			}
+		}
+		return worst;
+	}
+
+	better(a, b) {
+		// is fitness value a better than b?
+		return this.maximise ? a > b : a < b;
+	}
+
+	sort_by_fitness(pop) {
+		// returns a sorted copy, worst first and best at the end
+		if (this.maximise) {
+			return _.sortBy(pop, [function(x) { return x[3]}]);
+		} else {
+			return _.sortBy(pop, [function(x) { return -x[3]}]);
+		}
+	}
+
+	elites() {
+		// the individuals which survive unchanged into the next
+		// generation. in interactive mode these are among the ones
+		// the user selected, best first. otherwise we assume pop is
+		// sorted, best at the end.
+		if (this.multiobjective) {
+			return []; // in NSGA-II the parents survive anyway
+		}
+		if (this.interactive) {
+			var selected = _.filter(this.pop, x => x[3]);
+			if (this.keep_selected) {
+				return selected;
+			}
+			return this.sort_by_fitness(selected).reverse().slice(0, this.elitism);
+		}
+		var n = Math.max(this.elitism, this.popsize - Math.round(this.generation_gap * this.popsize));
+		return (n > 0) ? this.pop.slice(-n) : [];
+	}
+
+	create_new_pop() {
 		// create new empty pop and do elitism
-        var newpop = [];
-		newpop.push(this.pop[this.pop.length-1]);
+        var newpop = this.elites().slice(0, this.popsize);
+		this.invalids = 0;
+		return this.breed(newpop, this.popsize);
+	}
 
-		// fill up population using crossover and mutation
+	breed(newpop, n) {
+		// fill up newpop to n individuals using crossover and mutation
 		var tries = 0;
-        while (newpop.length < this.popsize) {
+        while (newpop.length < n) {
 
 			if (tries > this.popsize * 2) {
 				// we seem to be failing to create new individuals:
@@ -252,21 +967,27 @@ class GE {
 			}
 				
 			let g0, p0, c0, f0, g1, p1, c1, f1;
-            [[g0, p0, c0, f0], [g1, p1, c1, f1]] = _.sampleSize(parents, 2);
-            [g0, g1] = this.crossover(g0, g1, c0, c1);
+            [[g0, p0, c0, f0], [g1, p1, c1, f1]] = this.selection(this, 2);
+			// with the default pxover of 1 we don't draw a number, so
+			// seeded runs are unchanged
+			if (this.pxover >= 1 || this.rng.random() < this.pxover) {
+				[g0, g1] = this.crossover(g0, g1, c0, c1);
+			} else {
+				[g0, g1] = [g0.slice(), g1.slice()]; // mutate works in place
+			}
 
 			// first child
-            if (mt.random() < this.pmut) {
+            if (this.rng.random() < this.pmut) {
                 g0 = this.mutate(g0, c0);
 			}
 			this.mapAndTryAddIndToPop(g0, newpop);
 			tries++;
 
 			// second child
-			if (newpop.length == this.popsize) {
+			if (newpop.length == n) {
 				break;
 			}
-            if (mt.random() < this.pmut) {
+            if (this.rng.random() < this.pmut) {
                 g1 = this.mutate(g1, c1);
 			}
 			this.mapAndTryAddIndToPop(g1, newpop);
@@ -278,10 +999,12 @@ class GE {
 	
 
 	// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/function*
-	// enumerate and maintain internal state
+	// enumerate and maintain internal state. with wrapping, we go
+	// back to the start of the genome up to max_wraps times, and i
+	// keeps counting.
 	* genomeIterator(g) {
-		for (var i = 0; i < g.length; i++) {
-			yield [i, g[i]]; 
+		for (var i = 0; i < g.length * (this.max_wraps + 1); i++) {
+			yield [i, g[i % g.length]]; 
 		}
 	}
 
@@ -289,22 +1012,81 @@ class GE {
 		// returns a random genome
 		var ind = [];
 		for (var i = 0; i < this.genomelength; i++) {
-			ind.push(randrange(this.maxcodon));
+			ind.push(this.randrange(this.maxcodon));
 		}
 		return ind;
 	}
 	
+	sensible_ind(depth, method) {
+		// returns a genome for a random derivation tree of the given
+		// depth (the depth of the deepest NT expanded, as in the
+		// mapper). method is "grow", "full" or "pi_grow". in grow,
+		// each production is chosen at random among those which
+		// fit within depth. in full we prefer recursive productions
+		// so every branch goes as deep as it can. in PI grow the NTs
+		// are expanded in random order and we use recursive
+		// productions only while the tree has not reached depth and
+		// there is no other open NT which could still get there.
+		var root = {"sym": this.grammar.start_rule, "depth": 0, "children": null};
+		var open = [root];
+		var reached = false;
+		while (open.length > 0) {
+			var i = (method == "pi_grow") ? this.randrange(open.length) : 0;
+			var node = open.splice(i, 1)[0];
+			var r = this.grammar.rules[node.sym];
+			var prod_depths = this.grammar.prod_depths[node.sym];
+			var budget = Math.max(depth - node.depth + 1, _.min(prod_depths));
+			var choices = _.range(r.length).filter(j => prod_depths[j] <= budget);
+			var recursive = choices.filter(j => r[j].some(sym => this.grammar.recursive_NTs.has(sym)));
+			if (recursive.length > 0 &&
+				(method == "full" || (method == "pi_grow" && !reached && !open.some(n => this.grammar.recursive_NTs.has(n.sym))))) {
+				choices = recursive;
+			}
+			node.choice = this.random_choice(choices);
+			node.children = [];
+			for (var sym of r[node.choice]) {
+				if (this.grammar.nonterminals.has(sym)) {
+					var child = {"sym": sym, "depth": node.depth + 1, "children": null};
+					node.children.push(child);
+					open.push(child);
+				}
+			}
+			if (node.depth >= depth) {
+				reached = true;
+			}
+		}
+
+		// reverse-derive: emit codons in the order the mapper will
+		// read them (depth-first, left to right), then pad with random
+		// codons up to genomelength.
+		var g = [];
+		var stack = [root];
+		while (stack.length > 0) {
+			var node = stack.pop();
+			var n = this.grammar.rules[node.sym].length;
+			g.push(node.choice + n * this.randrange(this.maxcodon / n));
+			stack.push(...node.children.slice().reverse());
+		}
+		while (g.length < this.genomelength) {
+			g.push(this.randrange(this.maxcodon));
+		}
+		return g;
+	}
+
 	mutate(g, c) {
-		// bit-flip mutation, works on genomes, in used-codons section
-		var idx = randrange(c);
-		g[idx] = randrange(this.maxcodon);
+		// bit-flip mutation, works on genomes, in used-codons section.
+		// changes mutation_strength codons (maybe the same one twice)
+		for (var k = 0; k < this.mutation_strength; k++) {
+			var idx = this.randrange(Math.min(c, g.length)); // c may be larger if we wrapped
+			g[idx] = this.randrange(this.maxcodon);
+		}
 		return g;
 	}
 	
 	crossover(g0, g1, c0, c1) {
 		// works on genomes
-		var c = Math.min(c0, c1);
-		var idx = randrange(c); // work on the used-codons sections of both.
+		var c = Math.min(c0, c1, g0.length, g1.length); // c0, c1 may be larger if we wrapped
+		var idx = this.randrange(c); // work on the used-codons sections of both.
 		var t0 = _.concat(g0.slice(0, idx), g1.slice(idx, g1.length));
 		var t1 = _.concat(g1.slice(0, idx), g0.slice(idx, g0.length));
 		return [t0, t1];
@@ -317,13 +1099,6 @@ class GE {
 		return Function('"use strict";return (' + obj + ')')();
 	}
 	
-	loadFile(filename) {
-		// just read a file as plain text
-		// https://stackoverflow.com/a/40200549/86465
-		var buffer = fs.readFileSync(filename);
-		return buffer.toString();
-	}
-
 	getTerminals(obj) {
 		// create a Set containing the terminal symbols of the grammar
 		var s = new Set();
@@ -339,40 +1114,93 @@ class GE {
 		return s;
 	}
 
-	getRecursiveNTs(obj) {
-		// create a Set containing the recurisve non-terminal symbols of the grammar
-		var s = new Set();
-		for (const [ lhs, rhs ] of Object.entries(obj)) {
-			var recursive = false;
-			for (var prod of rhs) { // of: iterate over array
-				for (var sym of prod) {
-					if (lhs == sym) {
-						recursive = true;
-					}
+	parseBNF(s) {
+		// parse BNF text into the same object as the JSON format, eg
+		// {"<e>": [["(", "<e>", "<op>", "<e>", ")"], ["<var>"]], ...}.
+		// returns [obj, first LHS, Set of terminals]: we keep the
+		// terminals from the tokens, as a quoted terminal can look
+		// like an NT.
+		var tokens = tokeniseBNF(s);
+		var obj = {};
+		var terminals = new Set();
+		var start_sym = null;
+		var lhs = null;
+		var prod = null;
+		for (var i = 0; i < tokens.length; i++) {
+			var t = tokens[i];
+			if (t.type == "NT" && i+1 < tokens.length && tokens[i+1].type == "::=") {
+				// start of a new rule
+				lhs = t.text;
+				if (obj.hasOwnProperty(lhs)) {
+					throw new Error("BNF line " + t.line + ": rule " + lhs + " is defined twice");
 				}
+				if (start_sym == null) {
+					start_sym = lhs;
+				}
+				prod = [];
+				obj[lhs] = [prod];
+				i++; // skip the ::=
+			} else if (lhs == null) {
+				throw new Error("BNF line " + t.line + ": expected <nonterminal> ::= but found " + t.text);
+			} else if (t.type == "::=") {
+				throw new Error("BNF line " + t.line + ": unexpected ::= in rule " + lhs);
+			} else if (t.type == "|") {
+				prod = [];
+				obj[lhs].push(prod);
+			} else {
+				if (t.type == "T") {
+					terminals.add(t.text);
+				}
+				prod.push(t.text);
 			}
-			if (recursive) {
-				s.add(lhs)
-			}			
 		}
-		return s;
+		if (start_sym == null) {
+			throw new Error("BNF grammar contains no rules");
+		}
+		return [obj, start_sym, terminals];
 	}
 
-	loadGrammar(filename) {
-		// given a filename, load and parse the grammar and get some useful information about it
-		
-		var s = this.loadFile(filename);
-		var startIdx = s.indexOf("<");
-		var endIdx = s.indexOf(">"); // we take the first NT as the start symbol
-		var start_sym = s.slice(startIdx, endIdx+1);
-		var obj = this.looseJsonParse(s);
+	parseGrammar(s, start_sym=null) {
+		// given the grammar text, parse it into [rules object, start
+		// symbol, Set of terminals]. the text can be a JSON object or
+		// BNF. in JSON we go by the look of the symbols, so the
+		// terminals are null (see getTerminals).
+		var obj, first_sym, terminals = null;
+		if (s.trim().startsWith("{")) {
+			obj = this.looseJsonParse(s);
+			first_sym = s.slice(s.indexOf("<"), s.indexOf(">")+1); // the first NT
+		} else {
+			[obj, first_sym, terminals] = this.parseBNF(s);
+		}
+		if (start_sym == null) {
+			start_sym = first_sym;
+		} else if (!obj.hasOwnProperty(start_sym)) {
+			throw new Error("start symbol " + start_sym + " is not defined in the grammar");
+		}
+		return [obj, start_sym, terminals];
+	}
+
+	loadGrammar(s, start_sym=null) {
+		// given the grammar text, parse and check it and get some useful information about it
+		var obj, terminals;
+		[obj, start_sym, terminals] = this.parseGrammar(s, start_sym);
+		var report = checkGrammar(obj, start_sym, terminals);
+		if (report.errors.length > 0) {
+			throw new Error("invalid grammar:\n" + report.errors.join("\n"));
+		}
+		for (var w of report.warnings) {
+			console.warn("grammar warning:", w);
+		}
 		return {
 			"rules": obj,
 			"nonterminals": new Set(Object.keys(obj)),
-			"terminals": this.getTerminals(obj),
-			"recursive_NTs": this.getRecursiveNTs(obj), // useful for dealing with maxdepth
+			"terminals": terminals || this.getTerminals(obj),
+			"recursive_NTs": new Set(report.recursive_NTs), // directly or indirectly
+			"min_depths": report.min_depths, // useful for dealing with maxdepth
+			"prod_depths": report.prod_depths,
 			"start_rule": start_sym,
-			"LCM": this.getGrammarLCM(obj) // we will use this for max codon size
+			"LCM": this.getGrammarLCM(obj), // we will use this for max codon size
+			"report": report // see checkGrammar
 		};
 	}
 
@@ -387,16 +1215,23 @@ class GE {
 	}
 	
 	mapGenomeToIndividual(g) {
-		// given g, return [g, p, c, f]. but return null if we run out of codons
-		let i, p, c, f;
+		// given g, return [g, p, c, f, w]. but return null if we run out of codons
+		let i, p, c, f, w, next;
 		i = this.genomeIterator(g)
 		p = this.mapGenomeToPhenotype(i, 0);
 		if (p == null) {
 			return null;
 		}
-		c = i.next().value[0] - 1; // subtract 1
+		next = i.next();
+		if (next.done) {
+			// we used every codon, including any wraps
+			c = g.length * (this.max_wraps + 1) - 1;
+		} else {
+			c = next.value[0] - 1; // subtract 1
+		}
+		w = Math.floor(c / g.length); // number of wraps used
 		f = null; // we set it later
-		return [g, p, c, f];
+		return [g, p, c, f, w];
 	}
 
 	mapGenomeToPhenotype(g, depth, s=null) {
@@ -421,13 +1256,18 @@ class GE {
 		// console.log("codon", codon);
 		
 		var p = r[codon % r.length]; // the mod rule
-		if ((depth >= this.maxdepth) && (this.grammar.recursive_NTs.has(s))) {
-			// we have to choose a nonrecursive production
-			while (p.indexOf(s) != -1) {
-				// try next codon value until we find a production p that doesn't recurse directly to s
+		var prod_depths = this.grammar.prod_depths[s];
+		var budget = this.maxdepth - depth + 1; // depth still available below this node
+		if (prod_depths[codon % r.length] > budget) {
+			// p can't finish within maxdepth. if no production can
+			// (maxdepth is too small for the grammar) we settle for
+			// the shallowest.
+			budget = Math.max(budget, _.min(prod_depths));
+			while (prod_depths[codon % r.length] > budget) {
+				// try next codon value until we find a production p that fits
 				codon = (codon + 1) % this.maxcodon; 
-				p = r[codon % r.length]; // the mod rule
 			}
+			p = r[codon % r.length]; // the mod rule
 			// console.log("altered codon", codon);
 		} // FIXME we could implement a mindepth here too in the same way?
 
@@ -455,12 +1295,653 @@ class GE {
 }
 
 
-function randrange(n) {
-	return mt.int() % n;
+function tokeniseBNF(s) {
+	// split BNF text into tokens {type, text, line}, where type is
+	// one of "NT", "T", "::=" or "|". comments and whitespace are dropped.
+	var tokens = [];
+	var line = 1;
+	var i = 0;
+	while (i < s.length) {
+		var ch = s[i];
+		if (ch == "\n") {
+			line++;
+			i++;
+		} else if (/\s/.test(ch)) {
+			i++;
+		} else if (ch == "#") {
+			// comment to end of line
+			while (i < s.length && s[i] != "\n") {
+				i++;
+			}
+		} else if (s.startsWith("::=", i)) {
+			tokens.push({"type": "::=", "text": "::=", "line": line});
+			i += 3;
+		} else if (ch == "|") {
+			tokens.push({"type": "|", "text": "|", "line": line});
+			i++;
+		} else if (ch == '"' || ch == "'") {
+			// quoted terminal, may contain anything except its own quote
+			var end = s.indexOf(ch, i+1);
+			if (end == -1 || s.slice(i, end).indexOf("\n") != -1) {
+				throw new Error("BNF line " + line + ": unterminated quote " + ch);
+			}
+			tokens.push({"type": "T", "text": s.slice(i+1, end), "line": line});
+			i = end + 1;
+		} else {
+			var re = /<[^<>\s|]+>/y; // sticky: match only at i
+			re.lastIndex = i;
+			var m = re.exec(s);
+			if (m) {
+				tokens.push({"type": "NT", "text": m[0], "line": line});
+				i += m[0].length;
+			} else {
+				// unquoted terminal: runs until whitespace, quote, | or <
+				var j = i + 1;
+				while (j < s.length && !/[\s"'|<#]/.test(s[j]) && !s.startsWith("::=", j)) {
+					j++;
+				}
+				tokens.push({"type": "T", "text": s.slice(i, j), "line": line});
+				i = j;
+			}
+		}
+	}
+	return tokens;
+}
+
+function isNT(sym) {
+	return typeof sym == "string" && sym.startsWith("<") && sym.endsWith(">");
 }
 
-function random_choice(L) {
-	var i = randrange(L.length);
+function checkGrammar(obj, start_sym, terminals=null) {
+	// check a parsed grammar (as returned by GE.parseGrammar) and
+	// return a report. report.errors are problems which would crash
+	// or hang the mapper, report.warnings are probably mistakes. we
+	// also report the LCM and the minimum derivation depth of each
+	// NT and of each of its productions, counting as the mapper does:
+	// expanding an NT whose production has only terminals is depth 1.
+	// terminals is the Set from parseGrammar, if any, else a symbol is
+	// an NT if it looks like one.
+	var errors = [];
+	var usesNT = sym => isNT(sym) && !(terminals != null && terminals.has(sym));
+	var warnings = [];
+
+	// structure: catches eg stray commas in the JSON format, which
+	// leave holes in the arrays. we check every index, as some() and
+	// friends skip holes.
+	var ok = {};
+	for (const [ lhs, rhs ] of Object.entries(obj)) {
+		if (!isNT(lhs)) {
+			errors.push("rule " + lhs + ": left-hand side must be a <nonterminal>");
+		}
+		if (!Array.isArray(rhs) || rhs.length == 0) {
+			errors.push("rule " + lhs + ": must be a non-empty list of productions");
+			continue;
+		}
+		ok[lhs] = [];
+		for (var i = 0; i < rhs.length; i++) {
+			var prod = rhs[i];
+			var strings = Array.isArray(prod);
+			for (var j = 0; strings && j < prod.length; j++) {
+				strings = (typeof prod[j] == "string");
+			}
+			if (!strings) {
+				errors.push("rule " + lhs + ": production " + i + " is missing or not a list of strings (stray comma?)");
+			} else {
+				ok[lhs].push(prod);
+			}
+		}
+	}
+
+	// a quoted terminal "<x>" and a rule <x> would be the same string
+	// in the rules, so we can't tell them apart
+	for (var sym of (terminals || [])) {
+		if (isNT(sym) && obj.hasOwnProperty(sym)) {
+			errors.push("rule " + sym + ": the quoted terminal \"" + sym + "\" has the same name, rename one of them");
+		}
+	}
+
+	// undefined NTs, and the NT graph lhs -> NTs used in its productions
+	var undefined_NTs = new Set();
+	var graph = {};
+	for (const [ lhs, rhs ] of Object.entries(ok)) {
+		graph[lhs] = new Set();
+		for (var i = 0; i < rhs.length; i++) {
+			for (var sym of rhs[i]) {
+				if (!usesNT(sym)) {
+					continue;
+				}
+				if (!ok.hasOwnProperty(sym) && !obj.hasOwnProperty(sym)) {
+					undefined_NTs.add(sym);
+					errors.push("rule " + lhs + ": production " + i + " uses undefined nonterminal " + sym);
+				} else {
+					graph[lhs].add(sym);
+				}
+			}
+		}
+	}
+
+	// unused NTs: not reachable from the start symbol
+	var reachable = new Set([start_sym]);
+	var stack = [start_sym];
+	while (stack.length > 0) {
+		for (var sym of (graph[stack.pop()] || [])) {
+			if (!reachable.has(sym)) {
+				reachable.add(sym);
+				stack.push(sym);
+			}
+		}
+	}
+	var unused_NTs = Object.keys(obj).filter(nt => !reachable.has(nt));
+	for (var nt of unused_NTs) {
+		warnings.push("rule " + nt + ": unreachable from start symbol " + start_sym);
+	}
+
+	// minimum depths, by iterating to a fixed point. undefined NTs
+	// are already errors, so we treat them as depth 0 here to avoid
+	// a cascade of further errors.
+	var min_depths = {};
+	for (var nt of Object.keys(ok)) {
+		min_depths[nt] = Infinity;
+	}
+	var prodDepth = prod => 1 + Math.max(0, ...prod.filter(usesNT).map(sym => min_depths.hasOwnProperty(sym) ? min_depths[sym] : 0));
+	var changed = true;
+	while (changed) {
+		changed = false;
+		for (const [ lhs, rhs ] of Object.entries(ok)) {
+			for (var prod of rhs) {
+				var d = prodDepth(prod);
+				if (d < min_depths[lhs]) {
+					min_depths[lhs] = d;
+					changed = true;
+				}
+			}
+		}
+	}
+	var prod_depths = {};
+	for (const [ lhs, rhs ] of Object.entries(ok)) {
+		prod_depths[lhs] = rhs.map(prodDepth);
+	}
+	var nonterminating_NTs = Object.keys(ok).filter(nt => min_depths[nt] == Infinity);
+	for (var nt of nonterminating_NTs) {
+		errors.push("rule " + nt + ": can never terminate, every production leads to a nonterminal which can never terminate");
+	}
+
+	// recursion: an NT is recursive if it can reach itself in the
+	// graph, and indirectly recursive if it can do so via another NT
+	var recursive_NTs = [];
+	var indirectly_recursive_NTs = [];
+	for (var nt of Object.keys(graph)) {
+		var seen = new Set();
+		var stack = [...graph[nt]].filter(sym => sym != nt);
+		while (stack.length > 0) {
+			var sym = stack.pop();
+			if (!seen.has(sym)) {
+				seen.add(sym);
+				stack.push(...(graph[sym] || []));
+			}
+		}
+		if (seen.has(nt)) {
+			indirectly_recursive_NTs.push(nt);
+		}
+		if (seen.has(nt) || graph[nt].has(nt)) {
+			recursive_NTs.push(nt);
+		}
+	}
+
+	return {
+		"start_rule": start_sym,
+		"LCM": lcmAll(Object.values(obj).map(rhs => Array.isArray(rhs) ? rhs.length : 1)),
+		"undefined_NTs": [...undefined_NTs],
+		"unused_NTs": unused_NTs,
+		"nonterminating_NTs": nonterminating_NTs,
+		"recursive_NTs": recursive_NTs,
+		"indirectly_recursive_NTs": indirectly_recursive_NTs,
+		"min_depths": min_depths,
+		"prod_depths": prod_depths,
+		"errors": errors,
+		"warnings": warnings
+	};
+}
+
+function formatGrammarReport(report) {
+	// a human-readable version of the report from checkGrammar
+	var lines = [];
+	lines.push("start symbol: " + report.start_rule);
+	lines.push("LCM (codon size): " + report.LCM);
+	lines.push("recursive: " + report.recursive_NTs.join(" "));
+	lines.push("indirectly recursive: " + report.indirectly_recursive_NTs.join(" "));
+	lines.push("minimum depths:");
+	for (const [ nt, d ] of Object.entries(report.min_depths)) {
+		lines.push("  " + nt + " " + d);
+	}
+	for (var e of report.errors) {
+		lines.push("ERROR: " + e);
+	}
+	for (var w of report.warnings) {
+		lines.push("WARNING: " + w);
+	}
+	return lines.join("\n");
+}
+
+// evaluates phenotypes in parallel by fanning them out over a pool of
+// workers, and reassembles the fitness values in order. each worker
+// is wrapped as {post(msg), onresult(handler), terminate()} by the
+// Node or browser adapter, and runs GEworker.js. a worker that dies
+// is dropped from the pool, failing only the jobs it had.
+class WorkerEvaluator {
+	constructor(workers) {
+		this.workers = workers.slice();
+		this.next_id = 0;
+		this.pending = new Map(); // id -> [resolve, reject, worker]
+		for (let w of workers) {
+			w.onresult(msg => this.receive(msg, w));
+		}
+	}
+
+	evaluate(phenotypes) {
+		// one contiguous chunk per worker
+		if (this.workers.length == 0) {
+			return Promise.reject(new Error("fitness evaluation failed: no workers left"));
+		}
+		var size = Math.ceil(phenotypes.length / this.workers.length);
+		var jobs = [];
+		for (var i = 0; i * size < phenotypes.length; i++) {
+			jobs.push(this.send(this.workers[i], phenotypes.slice(i * size, (i+1) * size)));
+		}
+		return Promise.all(jobs).then(results => [].concat(...results));
+	}
+
+	send(worker, phenotypes) {
+		return new Promise((resolve, reject) => {
+			var id = this.next_id++;
+			this.pending.set(id, [resolve, reject, worker]);
+			worker.post({"id": id, "phenotypes": phenotypes});
+		});
+	}
+
+	receive(msg, worker) {
+		// msg is {id, fitvals} or {id, error}. if a worker dies we
+		// get an error without an id: we fail the jobs it had and
+		// stop using it.
+		var ids;
+		if (msg.id === undefined) {
+			ids = [...this.pending.keys()].filter(id => this.pending.get(id)[2] === worker);
+			var i = this.workers.indexOf(worker);
+			if (i >= 0) {
+				this.workers.splice(i, 1);
+				worker.terminate();
+			}
+		} else {
+			ids = [msg.id];
+		}
+		for (var id of ids) {
+			if (!this.pending.has(id)) {
+				continue; // already failed, eg after a worker died
+			}
+			let resolve, reject;
+			[resolve, reject] = this.pending.get(id);
+			this.pending.delete(id);
+			if (msg.error !== undefined) {
+				reject(new Error("fitness evaluation failed in worker: " + msg.error));
+			} else {
+				resolve(msg.fitvals);
+			}
+		}
+	}
+
+	close() {
+		// the workers keep Node running until they are terminated
+		for (var w of this.workers) {
+			w.terminate();
+		}
+	}
+}
+
+
+// the history of an interactive session, as a tree of generations.
+// each node is {id, parent, children, gen, state, ratings}: state is
+// the GE (see toJSON) when it asked the user about a population, and
+// ratings what the user told the parent node to breed this one (null
+// for the first). going back to an earlier node and telling it
+// different ratings starts a new branch, so alternative lineages can
+// be explored and compared.
+class SessionHistory {
+	constructor() {
+		this.nodes = [];
+		this.current = null; // id of the node being shown
+	}
+
+	record(ge, ratings=null) {
+		// add the population ge is asking about, bred from the
+		// current node with ratings, as a child of the current node,
+		// and make it current. returns the node.
+		var node = {
+			"id": this.nodes.length,
+			"parent": this.current,
+			"children": [],
+			"gen": ge.gen,
+			"state": JSON.parse(JSON.stringify(ge)), // a copy
+			"ratings": (ratings == null) ? null : ratings.slice()
+		};
+		this.nodes.push(node);
+		if (this.current != null) {
+			this.nodes[this.current].children.push(node.id);
+		}
+		this.current = node.id;
+		return node;
+	}
+
+	restore(id, cls=GE, fitness=null, options={}) {
+		// go back to node id: returns a GE (of class cls) in the state
+		// it was in then, ready to ask and tell again
+		this.current = id;
+		return cls.fromJSON(this.nodes[id].state, fitness, options);
+	}
+
+	undo(cls=GE, fitness=null, options={}) {
+		// go back to the parent of the current node, or null if it is
+		// the first
+		var parent = this.nodes[this.current].parent;
+		return (parent == null) ? null : this.restore(parent, cls, fitness, options);
+	}
+
+	lineage(id=this.current) {
+		// the nodes from the first one to node id
+		var path = [];
+		for (; id != null; id = this.nodes[id].parent) {
+			path.unshift(this.nodes[id]);
+		}
+		return path;
+	}
+
+	population(id) {
+		// the individuals of node id
+		var st = this.nodes[id].state.state;
+		return st.pop.map(i => st.individuals[i]);
+	}
+
+	top_rated(id) {
+		// the phenotypes the user rated to breed node id, with their
+		// ratings, best first
+		var node = this.nodes[id];
+		if (node.ratings == null) {
+			return [];
+		}
+		var pop = this.population(node.parent);
+		return _.sortBy(pop.map((x, i) => [x[1], node.ratings[i]]).filter(x => x[1] > 0), x => -x[1]);
+	}
+
+	toJSON() {
+		return {"nodes": this.nodes, "current": this.current};
+	}
+
+	static fromJSON(obj) {
+		if (typeof obj == "string") {
+			obj = JSON.parse(obj);
+		}
+		var h = new SessionHistory();
+		h.nodes = obj.nodes;
+		h.current = obj.current;
+		return h;
+	}
+}
+
+function encodeNonFinite(x) {
+	// JSON has no Infinity or NaN, so we store them as strings. x is
+	// an individual or part of one: numbers, strings, and arrays of
+	// them.
+	if (typeof x == "number" && !isFinite(x)) {
+		return {"nonfinite": String(x)};
+	}
+	if (Array.isArray(x)) {
+		return x.map(encodeNonFinite);
+	}
+	return x;
+}
+
+function decodeNonFinite(x) {
+	if (x != null && typeof x == "object" && x.hasOwnProperty("nonfinite")) {
+		return Number(x.nonfinite);
+	}
+	if (Array.isArray(x)) {
+		return x.map(decodeNonFinite);
+	}
+	return x;
+}
+
+function sample_parents(ge, pool, n) {
+	// n distinct parents from pool if possible, else with replacement.
+	// (we don't use _.sampleSize as it uses Math.random, not ge.rng.)
+	if (pool.length >= n) {
+		var idxs = _.range(pool.length);
+		return _.times(n, () => pool[idxs.splice(ge.randrange(idxs.length), 1)[0]]);
+	}
+	return _.times(n, () => ge.random_choice(pool));
+}
+
+function weighted_choice(ge, pool, weights) {
+	// fitness-proportional choice of one item in pool
+	var total = _.sum(weights);
+	if (!(total > 0)) {
+		return ge.random_choice(pool);
+	}
+	var x = ge.rng.random() * total;
+	for (var i = 0; i < pool.length; i++) {
+		x -= weights[i];
+		if (x < 0) {
+			return pool[i];
+		}
+	}
+	return pool[pool.length-1];
+}
+
+// selection strategies. each takes the GE object and a number n and
+// returns n parents chosen from ge.pop.
+const selection_strategies = {
+
+	truncation: function(ge, n) {
+		// uniform among the best, assuming ge.pop is sorted
+		return sample_parents(ge, ge.truncation_selection(), n);
+	},
+
+	direct: function(ge, n) {
+		// uniform among those the user selected
+		return sample_parents(ge, ge.direct_selection(), n);
+	},
+
+	rating: function(ge, n) {
+		// for interactive mode, where the fitness values are the
+		// user's ratings, eg 1-5 stars, and 0 means not rated.
+		// parents are chosen in proportion to their ratings, distinct
+		// if possible, so with ratings of 0 and 1 this is like direct.
+		var rated = _.filter(ge.pop, x => x[3] > 0);
+		if (rated.length == 0) {
+			return sample_parents(ge, ge.pop, n);
+		}
+		var parents = [];
+		var pool = rated.slice();
+		while (parents.length < n) {
+			if (pool.length == 0) {
+				pool = rated.slice(); // not enough to be distinct
+			}
+			var x = weighted_choice(ge, pool, pool.map(x => x[3]));
+			parents.push(x);
+			pool.splice(pool.indexOf(x), 1);
+		}
+		return parents;
+	},
+
+	tournament: function(ge, n) {
+		// best of tournament_size random individuals, n times
+		return _.times(n, function() {
+			var best = ge.random_choice(ge.pop);
+			for (var i = 1; i < ge.tournament_size; i++) {
+				var x = ge.random_choice(ge.pop);
+				if (ge.better(x[3], best[3])) {
+					best = x;
+				}
+			}
+			return best;
+		});
+	},
+
+	roulette: function(ge, n) {
+		// fitness-proportional. we shift fitness so the worst has
+		// weight 0, which works for minimisation and for negative
+		// fitness values.
+		var fits = ge.pop.map(x => ge.maximise ? x[3] : -x[3]);
+		var worst = _.min(_.filter(fits, isFinite));
+		var weights = fits.map(f => isFinite(f) ? f - worst : 0); // penalties get 0
+		return _.times(n, () => weighted_choice(ge, ge.pop, weights));
+	},
+
+	rank: function(ge, n) {
+		// linear ranking: weight 1 for the worst up to popsize for the best
+		var ranked = _.sortBy(ge.pop, x => ge.maximise ? x[3] : -x[3]);
+		var weights = ranked.map((x, i) => i + 1);
+		return _.times(n, () => weighted_choice(ge, ranked, weights));
+	},
+
+	lexicase: function(ge, n) {
+		// filter the population by each case in random order, keeping
+		// only those best on that case (Spector 2012). needs per-case
+		// values in ind[5], see the top of the file.
+		if (!ge.fitness.per_case) {
+			throw new Error("lexicase selection needs a fitness function with .per_case = true");
+		}
+		return _.times(n, function() {
+			var candidates = ge.pop;
+			var cases = _.range(candidates[0][5].length);
+			while (cases.length > 0 && candidates.length > 1) {
+				var k = cases.splice(ge.randrange(cases.length), 1)[0];
+				var vals = candidates.map(x => x[5][k]);
+				var best = ge.maximise ? _.max(vals) : _.min(vals);
+				candidates = candidates.filter(x => x[5][k] == best);
+			}
+			return ge.random_choice(candidates);
+		});
+	},
+
+	nsga2: function(ge, n) {
+		// binary tournament on non-dominated rank, then crowding
+		// distance. needs ge.nsga_info, set in tell.
+		return _.times(n, function() {
+			var a = ge.random_choice(ge.pop);
+			var b = ge.random_choice(ge.pop);
+			var [ra, ca] = ge.nsga_info.get(a);
+			var [rb, cb] = ge.nsga_info.get(b);
+			if (ra != rb) {
+				return ra < rb ? a : b;
+			}
+			return ca >= cb ? a : b;
+		});
+	}
+};
+
+function dominates(a, b, maximise) {
+	// does objective vector a Pareto-dominate b?
+	var strictly = false;
+	for (var k = 0; k < a.length; k++) {
+		var ak = maximise[k] ? -a[k] : a[k]; // so smaller is better
+		var bk = maximise[k] ? -b[k] : b[k];
+		if (ak > bk) {
+			return false;
+		}
+		if (ak < bk) {
+			strictly = true;
+		}
+	}
+	return strictly;
+}
+
+function nondominated_sort(pop, maximise) {
+	// fast non-dominated sort: returns a list of fronts, each a list
+	// of individuals, the first being non-dominated. uses ind[6].
+	var dominated_by = pop.map(() => []); // indices each one dominates
+	var counts = pop.map(() => 0); // how many dominate each one
+	var front = [];
+	for (var i = 0; i < pop.length; i++) {
+		for (var j = 0; j < pop.length; j++) {
+			if (dominates(pop[i][6], pop[j][6], maximise)) {
+				dominated_by[i].push(j);
+			} else if (dominates(pop[j][6], pop[i][6], maximise)) {
+				counts[i]++;
+			}
+		}
+		if (counts[i] == 0) {
+			front.push(i);
+		}
+	}
+	var fronts = [];
+	while (front.length > 0) {
+		fronts.push(front.map(i => pop[i]));
+		var next = [];
+		for (var i of front) {
+			for (var j of dominated_by[i]) {
+				counts[j]--;
+				if (counts[j] == 0) {
+					next.push(j);
+				}
+			}
+		}
+		front = next;
+	}
+	return fronts;
+}
+
+function crowding_distances(front) {
+	// returns a Map ind -> crowding distance within its front.
+	// boundary individuals get Infinity.
+	var dist = new Map(front.map(x => [x, 0]));
+	var nobj = front.length > 0 ? front[0][6].length : 0;
+	for (var k = 0; k < nobj; k++) {
+		var sorted = _.sortBy(front, x => x[6][k]);
+		var range = sorted[sorted.length-1][6][k] - sorted[0][6][k];
+		dist.set(sorted[0], Infinity);
+		dist.set(sorted[sorted.length-1], Infinity);
+		for (var i = 1; i < sorted.length - 1; i++) {
+			if (range > 0 && isFinite(range)) { // not with penalties
+				dist.set(sorted[i], dist.get(sorted[i]) + (sorted[i+1][6][k] - sorted[i-1][6][k]) / range);
+			}
+		}
+	}
+	return dist;
+}
+
+function nsga2_survivors(pop, maximise, n) {
+	// keep the best n of pop by non-dominated rank and crowding
+	// distance. returns [survivors, Map ind -> [rank, crowding]].
+	var survivors = [];
+	var info = new Map();
+	var fronts = nondominated_sort(pop, maximise);
+	for (var rank = 0; rank < fronts.length && survivors.length < n; rank++) {
+		var dist = crowding_distances(fronts[rank]);
+		var front = _.sortBy(fronts[rank], x => -dist.get(x));
+		for (var x of front.slice(0, n - survivors.length)) {
+			survivors.push(x);
+			info.set(x, [rank, dist.get(x)]);
+		}
+	}
+	return [survivors, info];
+}
+
+function fresh_seed() {
+	// a seed for a GE without one. MersenneTwister would use the
+	// time, which is the same for GEs made in the same millisecond
+	// (eg islands), so we ask crypto where there is one.
+	if (typeof crypto != "undefined" && typeof crypto.getRandomValues == "function") {
+		return crypto.getRandomValues(new Uint32Array(1))[0];
+	}
+	return Math.floor(Math.random() * 2**32);
+}
+
+function randrange(rng, n) {
+	// rng is a MersenneTwister or anything with the same int() method
+	return rng.int() % n;
+}
+
+function random_choice(rng, L) {
+	var i = randrange(rng, L.length);
 	return L[i];
 }
 
@@ -520,8 +2001,15 @@ function sr_quartic(s) {
 	return math.add(x, math.dotPow(x, 2), math.dotPow(x, 3), math.dotPow(x, 4));
     }
     var X = math.matrix([[0.0], [0.1], [0.2], [0.3], [0.4], [0.5]]);
+    var x = [0.0, 0.1, 0.2, 0.3, 0.4, 0.5];
+    var f = compile_phenotype(s);
+    var fx = (f == null) ? null : f([x], x.length);
+    if (fx != null && !fx.some(isNaN)) {
+	// the same as below, but faster (NaN may mean complex numbers)
+	return Math.sqrt(sum_squared_error(fx, x.map(xi => target(xi))));
+    }
     // console.log("s", s);
-    var fX = math.evaluate(s, {"x0": X}); // could use  {"x0": X[0], etc if needed}
+    var fX = math.evaluate(s, Object.assign({"x0": X}, protected_functions)); // could use  {"x0": X[0], etc if needed}
     // console.log("fX", fX);
     var y = target(X);
     // console.log("y", y);
@@ -531,38 +2019,493 @@ function sr_quartic(s) {
 }	
 sr_quartic.maximise = false;
 
-function test_run() {
-	// constructor(fitness,
-	// 			gram_file, 
-	// 			popsize,
-	// 			ngens,
-	// 			pmut,
-	// 			trunc,
-	// 			maxdepth,
-	// 			genomelength=200,
-	// 			seed=null)	
-    var ge = new GE(sr_quartic, "sr_grammar.json", 50, 10, 0.2, 0.3, 6);
-    ge.init();
-    var best_ever = ge.evolve();
-    ge.describe_ind(best_ever);
-}
-
-function test_interactive_run() {
-	// in an interactive setting, we use an "ask-tell" interface.
-	// we can pass null as the fitness. 
-	// truncation proportion will be ignored as we will use
-	// direct selection of the parents that we tell have fitness = 1.
-	// n generations will also be ignored.
-	var ge = new GE(null, "sr_grammar.json", 10, 5, 0.2, 0.3, 6);
-	ge.init();
-	for (var i = 0; i < 5; i++) {
-		var x = ge.ask();
-		// we can integrate this into an event loop or whatever.
-		// we "tell" GE the fitvals that we get from the UI
-		ge.tell([1, 1, 1, 1, 1, 0, 0, 0, 0, 0]);
+function sr_quartic_size(s) {
+	// two objectives: error and phenotype size, both minimised
+	return [sr_quartic(s), s.length];
+}
+sr_quartic_size.maximise = [false, false];
+
+function parseCSV(text) {
+	// a CSV file of numbers with a header row, as {names, rows}. no
+	// quoting, as we only expect numbers.
+	var lines = text.split(/\r?\n/).filter(line => line.trim() != "");
+	if (lines.length < 2) {
+		throw new Error("CSV needs a header row and at least one row of data");
 	}
+	var names = lines[0].split(",").map(x => x.trim());
+	var rows = lines.slice(1).map(function(line, i) {
+		var fields = line.split(",");
+		var row = fields.map(Number);
+		// Number("") is 0, so blank fields need checking themselves
+		if (row.length != names.length || fields.some(x => x.trim() === "") || row.some(x => Number.isNaN(x))) {
+			throw new Error("bad CSV row " + (i + 2) + ": " + line);
+		}
+		return row;
+	});
+	return {names, rows};
+}
+
+function sr_problem(names, rows, options={}) {
+	// a symbolic regression problem on a dataset, eg from parseCSV.
+	// options:
+	//   target: the name of the column to predict (default the last)
+	//   split: proportions of rows for [train, validation, test]
+	//     (default [0.6, 0.2, 0.2])
+	//   shuffle: shuffle the rows before splitting (default true)
+	//   seed: seed for the shuffle (default random)
+	//   grammar: the grammar text, eg of sr_grammar.bnf, whose <var>
+	//     rule is replaced by the inputs x0..xn (required)
+	//   compile: evaluate with compile_phenotype where possible,
+	//     rather than math.evaluate (default true)
+	//   constants: each c in a phenotype is a constant to be tuned
+	//     with nelder_mead on the training rows (default false), see
+	//     sr_constants_grammar.bnf
+	//   constant_iterations: iterations of nelder_mead (default 100)
+	//   linear_scaling: fit a + b * phenotype to the target by least
+	//     squares (Keijzer 2003), so evolution need only find the
+	//     shape (default false)
+	// the input columns are called x0..xn in phenotypes, in the order
+	// of the file; problem.inputs gives their real names. fitness is
+	// the RMSE on the training rows, to be minimised. with constants
+	// or linear scaling it returns {fitness, details}, and GE stores
+	// details in the individual: the constants, the scaling [a, b],
+	// and tuned_phenotype with them filled in, which is what error and
+	// report use. problem.settings gives the options with their
+	// defaults filled in (and the seed used), eg for a run log.
+	if (options.grammar == null) {
+		throw new Error("sr_problem needs a grammar, eg sr_grammar.bnf");
+	}
+	var target = (options.target === undefined) ? names[names.length - 1] : options.target;
+	var t = names.indexOf(target);
+	if (t == -1) {
+		throw new Error("no column called " + target);
+	}
+	var inputs = names.filter((x, i) => i != t);
+	var vars = inputs.map((x, i) => "x" + i);
+
+	rows = rows.slice();
+	var seed = (options.seed == null) ? fresh_seed() : options.seed;
+	if (options.shuffle !== false) {
+		var rng = new MersenneTwister(seed);
+		for (var i = rows.length - 1; i > 0; i--) {
+			var j = randrange(rng, i + 1);
+			[rows[i], rows[j]] = [rows[j], rows[i]];
+		}
+	}
+	var split = options.split || [0.6, 0.2, 0.2];
+	var total = _.sum(split);
+	var n_train = Math.round(rows.length * split[0] / total);
+	var n_validation = Math.round(rows.length * split[1] / total);
+	if (n_train == 0) {
+		throw new Error("no rows left for training");
+	}
+	function dataset(part) {
+		// columns as arrays for compiled phenotypes, and as vectors
+		// for math.evaluate
+		var columns = vars.map((v, k) => Float64Array.from(part, row => row[k < t ? k : k + 1]));
+		var scope = Object.assign({}, protected_functions);
+		vars.forEach((v, k) => {
+			scope[v] = math.matrix(Array.from(columns[k]));
+		});
+		return {"columns": columns, "scope": scope, "y": Float64Array.from(part, row => row[t]), "n": part.length};
+	}
+	var data = {
+		"train": dataset(rows.slice(0, n_train)),
+		"validation": dataset(rows.slice(n_train, n_train + n_validation)),
+		"test": dataset(rows.slice(n_train + n_validation))
+	};
+
+	function predict(s, d, params=[], values=[]) {
+		// the values of phenotype s on dataset d
+		var f = (options.compile === false) ? null : compile_phenotype(s, vars, params);
+		var yhat = (f == null) ? null : f(d.columns, d.n, values);
+		if (yhat == null || yhat.some(isNaN)) {
+			// not compiled, or maybe complex numbers on the way, which
+			// math.js handles and we don't
+			var scope = Object.assign({}, d.scope, _.zipObject(params, values));
+			var v = math.evaluate(s, scope);
+			yhat = new Float64Array(d.n);
+			for (var i = 0; i < d.n; i++) {
+				var vi = math.isMatrix(v) ? v.get([i]) : v;
+				yhat[i] = (typeof vi == "number") ? vi : NaN;
+			}
+		}
+		return yhat;
+	}
+
+	function error(s, part) {
+		// RMSE of phenotype s on part of the data
+		var d = data[part];
+		if (d.n == 0) {
+			return NaN;
+		}
+		return Math.sqrt(sum_squared_error(predict(s, d), d.y) / d.n);
+	}
+
+	function tune(s) {
+		// fitness and details of phenotype s with tuned constants
+		// and/or linear scaling, see the options above
+		var k = 0;
+		var t = (options.constants) ? s.replace(/\bc\b/g, () => "k" + (k++)) : s;
+		var params = _.times(k, i => "k" + i);
+		var d = data.train;
+		function objective(values) {
+			var yhat = predict(t, d, params, values);
+			var ab = options.linear_scaling ? linear_scaling(yhat, d.y) : [0, 1];
+			for (var i = 0; i < d.n; i++) {
+				yhat[i] = ab[0] + ab[1] * yhat[i];
+			}
+			return [Math.sqrt(sum_squared_error(yhat, d.y) / d.n), ab];
+		}
+		var values = (k == 0) ? [] : nelder_mead(x => objective(x)[0], _.times(k, () => 1),
+												 options.constant_iterations || 100);
+		var [fit, ab] = objective(values);
+		var details = {};
+		if (k > 0) {
+			details.constants = values;
+			t = t.replace(/\bk(\d+)\b/g, (m, i) => "(" + values[i] + ")");
+		}
+		if (options.linear_scaling) {
+			details.scaling = ab;
+			t = "(" + ab[0] + "+(" + ab[1] + ".*" + t + "))";
+		}
+		details.tuned_phenotype = t;
+		return {"fitness": fit, "details": details};
+	}
+
+	var grammar = GE.prototype.parseGrammar(options.grammar);
+	// we pass the grammar on as JSON, where quoted terminals which
+	// look like NTs would become NTs
+	for (var sym of (grammar[2] || [])) {
+		if (isNT(sym)) {
+			throw new Error("sr_problem can't use the quoted terminal \"" + sym + "\", it looks like a nonterminal");
+		}
+	}
+	var rules = {};
+	rules[grammar[1]] = grammar[0][grammar[1]]; // start rule first
+	Object.assign(rules, grammar[0]);
+	rules["<var>"] = vars.map(v => [v]);
+
+	function train_error(s) {
+		return error(s, "train");
+	}
+	var fitness = (options.constants || options.linear_scaling) ? tune : train_error;
+	fitness.maximise = false;
+	return {
+		"grammar": JSON.stringify(rules),
+		"fitness": fitness,
+		"target": target,
+		"inputs": inputs,
+		"sizes": [data.train.n, data.validation.n, data.test.n],
+		"settings": {
+			"target": target,
+			"inputs": inputs,
+			"split": split,
+			"shuffle": options.shuffle !== false,
+			"seed": seed,
+			"compile": options.compile !== false,
+			"constants": !!options.constants,
+			"constant_iterations": options.constant_iterations || 100,
+			"linear_scaling": !!options.linear_scaling
+		},
+		"error": function(ind, part) {
+			// error of a phenotype or an individual on part of the data
+			if (typeof ind == "string") {
+				return error(ind, part);
+			}
+			return error((ind[7] && ind[7].tuned_phenotype) || ind[1], part);
+		},
+		"rename": function(s) {
+			// phenotype s with the real input names, for people
+			return s.replace(/\bx(\d+)\b/g, (m, k) => inputs[k]);
+		},
+		"report": function(ge) {
+			// errors of ge.best_ever on each part of the data
+			var best = ge.best_ever;
+			return {
+				"phenotype": this.rename((best[7] && best[7].tuned_phenotype) || best[1]),
+				"train": this.error(ge.best_ever, "train"),
+				"validation": this.error(ge.best_ever, "validation"),
+				"test": this.error(ge.best_ever, "test")
+			};
+		}
+	};
 }
-	
 
-test_run();
-//test_interactive_run();
+function elementwise(f) {
+	// apply f of numbers to numbers or math.js matrices elementwise
+	return function(...args) {
+		var m = args.find(a => math.isMatrix(a));
+		if (m === undefined) {
+			return f(...args);
+		}
+		return math.map(m, (v, idx) => f(...args.map(a => math.isMatrix(a) ? a.get(idx) : a)));
+	};
+}
+
+// protected operators for SR grammars: they give a value where the
+// usual ones would fail or give NaN or Infinity. they are in the
+// scope of sr_quartic and sr_problem, see sr_protected_grammar.bnf.
+const protected_scalar_functions = {
+	"pdiv": (a, b) => (b == 0) ? 1 : a / b,
+	"plog": a => (a == 0) ? 0 : Math.log(Math.abs(a)),
+	"psqrt": a => Math.sqrt(Math.abs(a)),
+	"pexp": a => Math.exp(Math.min(a, 100))
+};
+const protected_functions = _.mapValues(protected_scalar_functions, elementwise);
+
+// compiling SR phenotypes. math.evaluate parses the phenotype every
+// time and works on math.js matrices, which is slow for big
+// datasets. compile_phenotype turns a phenotype into a JS function
+// of the data columns which loops over the rows, giving the same
+// values. we only accept a whitelist: numbers, the variables,
+// parentheses, + - .* ./ .^ and the functions below, with math.js
+// precedence. anything else (eg * between vectors, which in math.js
+// is not elementwise) gives null, and callers use math.evaluate. where
+// math.js would go via complex numbers (eg (-1).^0.5) we give NaN, so
+// callers use math.evaluate then too.
+const compiled_functions = Object.assign({
+	"sin": Math.sin,
+	"cos": Math.cos,
+	"tanh": Math.tanh,
+	"abs": Math.abs
+}, protected_scalar_functions);
+const compiled_cache = new Map(); // vars and phenotype -> function or null
+const COMPILED_CACHE_SIZE = 100000;
+
+function compile_phenotype(s, vars=["x0"], params=[]) {
+	// returns f(columns, n, values), where columns[k] is an array of
+	// the values of vars[k], n the number of rows and values[k] the
+	// value of params[k] (the same for every row), returning a
+	// Float64Array of the values of s, or null if s is not in the
+	// whitelist. functions are cached.
+	var key = vars.join(",") + "|" + params.join(",") + "|" + s;
+	if (compiled_cache.has(key)) {
+		return compiled_cache.get(key);
+	}
+	var f;
+	try {
+		var code = compile_expression(tokenise_expression(s), vars, params);
+		f = new Function("F", "X", "n", "P",
+						 vars.map((v, k) => "var c" + k + " = X[" + k + "];\n").join("") +
+						 "var out = new Float64Array(n);\n" +
+						 "for (var i = 0; i < n; i++) {\n" +
+						 "\tout[i] = " + code + ";\n" +
+						 "}\n" +
+						 "return out;").bind(null, compiled_functions);
+	} catch (e) {
+		f = null;
+	}
+	if (compiled_cache.size >= COMPILED_CACHE_SIZE) {
+		compiled_cache.clear();
+	}
+	compiled_cache.set(key, f);
+	return f;
+}
+
+function tokenise_expression(s) {
+	// numbers, names and operators. anything else is an error.
+	var re = /\s*(\d+\.\d+(?:e[+-]?\d+)?|\d+(?:e[+-]?\d+)?|\.\d+|\.[*\/^]|[A-Za-z_]\w*|[-+(),])\s*/iy;
+	var tokens = [];
+	var m;
+	while (re.lastIndex < s.length) {
+		if ((m = re.exec(s)) == null) {
+			throw new Error("can't compile " + s);
+		}
+		tokens.push(m[1]);
+	}
+	return tokens;
+}
+
+function compile_expression(tokens, vars, params) {
+	// recursive descent with math.js precedence: + - then .* ./ then
+	// unary minus then .^ (right associative), so -x.^2 is -(x.^2).
+	// returns JS source using c0[i] etc for the variables, P[0] etc
+	// for the params and F for the functions.
+	var pos = 0;
+	var peek = () => tokens[pos];
+	function expect(tok) {
+		if (tokens[pos++] !== tok) {
+			throw new Error("expected " + tok);
+		}
+	}
+	function add() {
+		var code = mul();
+		while (peek() == "+" || peek() == "-") {
+			var op = tokens[pos++];
+			code = "(" + code + " " + op + " " + mul() + ")";
+		}
+		return code;
+	}
+	function mul() {
+		var code = unary();
+		while (peek() == ".*" || peek() == "./") {
+			var op = tokens[pos++];
+			code = "(" + code + " " + op[1] + " " + unary() + ")";
+		}
+		return code;
+	}
+	function unary() {
+		if (peek() == "-" || peek() == "+") {
+			var op = tokens[pos++];
+			return "(" + op + unary() + ")";
+		}
+		return pow();
+	}
+	function pow() {
+		var code = primary();
+		if (peek() == ".^") {
+			pos++;
+			code = "Math.pow(" + code + ", " + unary() + ")";
+		}
+		return code;
+	}
+	function primary() {
+		var tok = tokens[pos++];
+		if (tok === undefined) {
+			throw new Error("unexpected end");
+		}
+		if (/^[\d.]/.test(tok)) {
+			return "(" + Number(tok) + ")";
+		}
+		if (tok == "(") {
+			var code = add();
+			expect(")");
+			return code;
+		}
+		if (vars.includes(tok)) {
+			return "c" + vars.indexOf(tok) + "[i]";
+		}
+		if (params.includes(tok)) {
+			return "P[" + params.indexOf(tok) + "]";
+		}
+		if (compiled_functions.hasOwnProperty(tok)) {
+			expect("(");
+			var args = [add()];
+			while (peek() == ",") {
+				pos++;
+				args.push(add());
+			}
+			expect(")");
+			if (args.length != compiled_functions[tok].length) {
+				throw new Error(tok + " takes " + compiled_functions[tok].length + " arguments");
+			}
+			return "F." + tok + "(" + args.join(", ") + ")";
+		}
+		throw new Error("unknown token " + tok);
+	}
+	var code = add();
+	if (pos != tokens.length) {
+		throw new Error("unexpected " + tokens[pos]);
+	}
+	return code;
+}
+
+function linear_scaling(yhat, y) {
+	// [a, b] minimising the squared error of a + b * yhat against y
+	// (Keijzer 2003). if yhat is constant, b is 0.
+	var n = y.length;
+	var my = _.sum(y) / n, mf = _.sum(yhat) / n;
+	var cov = 0, vf = 0;
+	for (var i = 0; i < n; i++) {
+		cov += (y[i] - my) * (yhat[i] - mf);
+		vf += (yhat[i] - mf) * (yhat[i] - mf);
+	}
+	var b = (vf > 0 && isFinite(vf)) ? cov / vf : 0;
+	return [my - b * mf, b];
+}
+
+function nelder_mead(f, x0, iterations=100, step=1) {
+	// minimise f from x0 by the Nelder-Mead simplex method, returning
+	// the best point found. NaN counts as Infinity.
+	var F = x => {
+		var v = f(x);
+		return isNaN(v) ? Infinity : v;
+	};
+	var n = x0.length;
+	var simplex = [x0].concat(_.times(n, i => x0.map((xj, j) => (i == j) ? xj + step : xj)));
+	var vals = simplex.map(F);
+	// x + t * (y - x)
+	var towards = (x, y, t) => x.map((xi, j) => xi + t * (y[j] - xi));
+	for (var it = 0; it < iterations; it++) {
+		var order = _.sortBy(_.range(n + 1), i => vals[i]);
+		simplex = order.map(i => simplex[i]);
+		vals = order.map(i => vals[i]);
+		if (vals[n] - vals[0] <= 1e-12 * Math.abs(vals[0])) {
+			break;
+		}
+		var centroid = _.times(n, j => _.sum(simplex.slice(0, n).map(x => x[j])) / n);
+		var reflected = towards(centroid, simplex[n], -1);
+		var fr = F(reflected);
+		if (fr < vals[0]) {
+			var expanded = towards(centroid, simplex[n], -2);
+			var fe = F(expanded);
+			[simplex[n], vals[n]] = (fe < fr) ? [expanded, fe] : [reflected, fr];
+		} else if (fr < vals[n-1]) {
+			[simplex[n], vals[n]] = [reflected, fr];
+		} else {
+			var contracted = towards(centroid, simplex[n], 0.5);
+			var fc = F(contracted);
+			if (fc < vals[n]) {
+				[simplex[n], vals[n]] = [contracted, fc];
+			} else {
+				// shrink towards the best
+				for (var i = 1; i <= n; i++) {
+					simplex[i] = towards(simplex[0], simplex[i], 0.5);
+					vals[i] = F(simplex[i]);
+				}
+			}
+		}
+	}
+	return simplex[_.minBy(_.range(n + 1), i => vals[i])];
+}
+
+function sum_squared_error(a, b) {
+	var total = 0;
+	for (var i = 0; i < a.length; i++) {
+		total += Math.pow(a[i] - b[i], 2);
+	}
+	return total;
+}
+
+function weasel(s) {
+    var weasel = "METHINKS IT IS LIKE A WEASEL";
+    var i = 0;
+    var err = 0;
+    for (; i < weasel.length; i++) { 
+	if (weasel[i] != s[i]){
+	    err++;
+	}
+    }
+    return err;
+}
+weasel.maximise = false;
+
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		GE,
+		WorkerEvaluator,
+		SessionHistory,
+		checkGrammar,
+		selection_strategies,
+		formatGrammarReport,
+		randrange,
+		random_choice,
+		count_and,
+		onemax,
+		lenmax,
+		RMSE,
+		RMS,
+		sr_quartic,
+		sr_quartic_size,
+		parseCSV,
+		sr_problem,
+		protected_functions,
+		compile_phenotype,
+		nelder_mead,
+		linear_scaling,
+		nondominated_sort,
+		weasel
+	};
+}
@@ -1,551 +1,164 @@
-/* 
- * This is a JS implementation of Grammatical Evolution (O'Neill and
- * Ryan, 1998, 2003), mostly intended for use in interactive EC web
- * apps. We provide an ask-tell interface suitable for interactive use
- * where the GE user is in control of the main loop.
+/*
+ * Browser adapter for GEjs. The GE class itself lives in GE.js, which
+ * must be loaded first (after lodash, mersennetwister and mathjs):
  *
- * James McDermott <james.mcdermott@nuigalway.ie>
+ * <script type="text/javascript" src="GE.js"></script>
+ * <script type="text/javascript" src="GEbrowser.js"></script>
  *
- * Copyright James McDermott 2020
- * Licensed for use under GPL3
- *
- * This has only been tested under Node.
- *
- * sudo apt install node npm
- * npm install mathjs
- *
- * Some implementation/algorithm details follow:
- *
- * We represent an individual as a list [genome, phenotype,
- * used_codons, fitness].
- *
- * Crossover and mutation run inside the used region.
- *
- * We don't have sensible initialisation, but we have a cache
- * preventing duplicates from being added to the population. This
- * tends to prevent non-"sensible" outcomes at initialisation.
- *
- * Max codon size is set to LCM(rule lengths). This is much smaller
- * than the values of 100 or 1000 often used in research, but it
- * ensures that for every rule, every production is exactly equally
- * probable. Incrementing a codon is guaranteed to make a change. It
- * also gives us nice neat genomes.
- *
- * We have a maxdepth. When it is reached, we increment the codon
- * until we find a nonrecursive choice. (This change doesn't affect
- * the genome, but it is deterministic so it doesn't need to.)
- * Howver, we only detect direct recursion, not indirect.
+ * Here we only add the DOM-specific parts: writing statistics into
+ * the #resultsbody table, parallel evaluation in Web Workers, runs
+ * hosted in a Web Worker (worker_run, see GErunworker.js), saving
+ * checkpoints to localStorage or as a download, and the runs used by
+ * the ge_*.html pages.
  *
- * We require the user to write the grammar as a JSON object, eg:
- *
- {
-  "<e>": [[ "(", "<e>", "<op>", "<e>", ")" ], [ "(", "<uop>", "<e>", ")"], [ "<var>" ]],
-  "<var>": [["x"], ["y"]],
-  "<op>": [["+"], [".*"]], // .* is used here to get element-wise multiplication, not matrix multiplication, in mathjs
-  "<uop>": [["-"]]
-  }
-
- * The first <> symbol is assumed to be the start symbol.
- *
- * We depend on lodash and mathjs for a few things.
- *
- * FIXME:
- * Not sure how to make this a proper module that can be imported
- * by other js files running in Node, or by webpages.
- *
- * I will collect here some canvas/processing/HTML5 possibilities for generative art:
- * https://p5js.org/
- * https://www.openprocessing.org/sketch/912094
- *
- * Compare to:
- * https://mutant.garden/
- * http://endlessforms.com/g/zuq4l4ld5i_0
- * 
+ * Licensed for use under GPL3
  */
 
 
 "use strict";
-var mt = new MersenneTwister(); // we will seed it later
-
-// this is the GE class. Usage is simple, examples at the bottom of
-// the file.
-class GE {
-	constructor(fitness, // can be null else must have a Boolean .maximise member
-				gram_file, 
-				popsize,
-				ngens,
-				pmut, // FIXME add pxover?
-				trunc,
-				maxdepth,
-				genomelength=200,
-				seed=null) {
-
-		if (fitness == null) {
-			this.interactive = true;
-			function dummy(x) {return 0;}
-			dummy.maximise = true;
-			this.fitness = dummy
-		} else {
-			this.interactive = false;
-			this.fitness = fitness;
-		}
-		this.grammar = this.loadGrammar(gram_file);
-		this.popsize = popsize;
-		this.ngens = ngens;
-		this.pmut = pmut;
-		this.trunc = trunc;
-		this.maxdepth = maxdepth;
-		this.genomelength = genomelength;
-		this.pop = new Array();
-		this.cache = new Set();
-		this.maxcodon = this.grammar.LCM;
-		this.gen = 0;
-		this.best_ever = null;
-		
-		if (!(seed === null)) {
-			mt.seed(seed);
-		}
-	}
-
-	init() {
-		// initialise
-		while (this.pop.length < this.popsize) {
-			var g = this.random_ind(this.grammar, this.maxdepth);
-			this.mapAndTryAddIndToPop(g, this.pop);
-		}
 
-	    // init value for best ever
-	    this.best_ever = this.pop[0];
-	    
-	}
-
-	mapAndTryAddIndToPop(g, pop) {
-		var ind = this.mapGenomeToIndividual(g);
-		if (ind != null) {
-			// add to pop only if map is successful, else just try again
-			let g, p, c, f;
-			[g, p, c, f] = ind;
-			if (!this.cache.has(p)) {
-				this.cache.add(p);
-				pop.push(ind);
-			}
-		}
-	}		
-
-	evolve() {
-		// run generations
-		for (this.gen = 0; this.gen < this.ngens; this.gen++) {
-			var x = this.ask();
-			// xi[1] is the phenotype
-			this.tell(_.map(x, xi => this.fitness(xi[1])));
-		}
-		return this.best_ever;
-	}
-
-	print_statistics() {
-	    // generation #, # evaluations, used codons, fit, phenotype
-	    console.log(this.gen, (this.gen+1) * this.popsize, this.best_ever[2], this.best_ever[3], this.best_ever[1]); 
-	    var buf =  "generation: " + this.gen + " fitness: " + this.best_ever[3].toPrecision(4) + " phenotype: " + this.best_ever[1];
-	    var tr = document.createElement("tr");
-	    var element = document.getElementById("resultsbody").prepend(buf,tr);
-	}
 
-    describe_ind(ind) {
-	// [genome, phenotype, used_codons, fitness]
-	
-	console.log("genome", ind[0].slice(0, ind[2]+1).toString());
-	console.log("codons", ind[2]);
-	console.log("fitness", ind[3]);
-	console.log("phenotype", ind[1]);
-	var s = ind[1];
-	s = replaceAll(s, "x0", "x") // for human readers now
-	s = replaceAll(s, ".*", "*");
-	const node = math.parse(s);
-	console.log("latex", node.toTex());
-	console.log("simplified", math.simplify(s).toString());
+// the scripts a worker needs to run GE, as in the <script> tags of
+// the ge_*.html pages. relative URLs are relative to the worker script.
+const GE_SCRIPTS = [
+    "https://cdnjs.cloudflare.com/ajax/libs/lodash.js/4.17.15/lodash.min.js",
+    "https://unpkg.com/mersennetwister@0.2.3/src/MersenneTwister.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/mathjs/7.0.1/math.min.js",
+    "GE.js"
+];
+
+
+function add_result_row(gen, fitness, phenotype) {
+    // prepend a row to the #resultsbody table
+    var tr = document.createElement("tr");
+    var fit = (typeof fitness == "number") ? fitness.toPrecision(4) : String(fitness);
+    for (var text of [gen, fit, phenotype]) {
+	var td = document.createElement("td");
+	td.textContent = text;
+	tr.appendChild(td);
     }
-	
-
-	truncation_selection() {
-		return this.pop.slice(Math.floor(this.popsize * this.trunc), this.popsize-1);
-	}
-
-	direct_selection() {
-		var parents = _.filter(this.pop, function(x) { return x[3] }); // fitness > 0
-		if (parents.length == 0) {
-			parents = this.pop;
-		}
-		return parents;
-	}
-
-	// we provide an ask-tell interface for interactive use.
-	// create a GE object, ask for current population,
-	// then tell GE the fitvals.
-	ask() {
-		return this.pop;
-	}
-	
-	tell(fitvals) {
-
-	    for (var i = 0; i < this.popsize; i++) {
-			this.pop[i][3] = fitvals[i];
-		}
-
-		// update best ever
-	    for (var i = 0; i < this.popsize; i++) {
-		if ((this.fitness.maximise && this.pop[i][3] >= this.best_ever[3]) ||
-		    (!this.fitness.maximise && this.pop[i][3] <= this.best_ever[3])) {
-		    this.best_ever = this.pop[i];
-		}
-	    }
-		this.print_statistics();
-		
-		
-		if (this.interactive) {
-
-			// just direct selection
-			var parents = this.direct_selection();
-			
-		} else {
-			
-			// sort by fitness for truncation selection
-			if (this.fitness.maximise) {
-				this.pop = _.sortBy(this.pop, [function(x) { return x[3]}]);
-			} else {
-				this.pop = _.sortBy(this.pop, [function(x) { return -x[3]}]);
-			}			
-			var parents = this.truncation_selection();
-		}
-
-
-		// generational replacement
-		this.pop = this.create_new_pop(parents);
-
-	}
-
-	create_new_pop(parents) {
-		// create new empty pop and do elitism
-        var newpop = [];
-		newpop.push(this.pop[this.pop.length-1]);
-
-		// fill up population using crossover and mutation
-		var tries = 0;
-        while (newpop.length < this.popsize) {
-
-			if (tries > this.popsize * 2) {
-				// we seem to be failing to create new individuals:
-				// this can happen in interactive mode when number of
-				// parents is small (eg user might select 1 or 2
-				// parents or even 0) so many offspring are
-				// duplicates. We just give up and create a random
-				// ind.
-
-				// we count each crossover (giving 2 children) as 2
-				// tries, so if no duplicates ever occur we'll have
-				// tries == popsize. We allow double that, then give
-				// up.
-				var g = this.random_ind();
-				this.mapAndTryAddIndToPop(g, newpop);
-				continue;
-			}
-				
-			let g0, p0, c0, f0, g1, p1, c1, f1;
-            [[g0, p0, c0, f0], [g1, p1, c1, f1]] = _.sampleSize(parents, 2);
-            [g0, g1] = this.crossover(g0, g1, c0, c1);
-
-			// first child
-            if (mt.random() < this.pmut) {
-                g0 = this.mutate(g0, c0);
-			}
-			this.mapAndTryAddIndToPop(g0, newpop);
-			tries++;
-
-			// second child
-			if (newpop.length == this.popsize) {
-				break;
-			}
-            if (mt.random() < this.pmut) {
-                g1 = this.mutate(g1, c1);
-			}
-			this.mapAndTryAddIndToPop(g1, newpop);
-
-			tries++;
-		}
-		return newpop;
-	}
-	
-
-	// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/function*
-	// enumerate and maintain internal state
-	* genomeIterator(g) {
-		for (var i = 0; i < g.length; i++) {
-			yield [i, g[i]]; 
-		}
-	}
-
-	random_ind() {
-		// returns a random genome
-		var ind = [];
-		for (var i = 0; i < this.genomelength; i++) {
-			ind.push(randrange(this.maxcodon));
-		}
-		return ind;
-	}
-	
-	mutate(g, c) {
-		// bit-flip mutation, works on genomes, in used-codons section
-		var idx = randrange(c);
-		g[idx] = randrange(this.maxcodon);
-		return g;
-	}
-	
-	crossover(g0, g1, c0, c1) {
-		// works on genomes
-		var c = Math.min(c0, c1);
-		var idx = randrange(c); // work on the used-codons sections of both.
-		var t0 = _.concat(g0.slice(0, idx), g1.slice(idx, g1.length));
-		var t1 = _.concat(g1.slice(0, idx), g0.slice(idx, g0.length));
-		return [t0, t1];
-	}
-
-	looseJsonParse(obj) {
-		// parse a string containing a JSON object 
-		// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/eval
-		// FIXME use JSON.parse intead? https://www.sitepoint.com/call-javascript-function-string-without-using-eval/
-		return Function('"use strict";return (' + obj + ')')();
-	}
-	
-	loadFile(filename) {
-		// just read a file as plain text
-	        // https://stackoverflow.com/a/40200549/86465
-//	        var buffer = fs.readFileSync(filename);
-//		return buffer.toString();
-	}
-
-	getTerminals(obj) {
-		// create a Set containing the terminal symbols of the grammar
-		var s = new Set();
-		for (const [ lhs, rhs ] of Object.entries(obj)) {
-			for (var prod of rhs) { // of: iterate over array
-				for (var sym of prod) {
-					if (!(sym.startsWith("<") && sym.endsWith(">"))) {
-						s.add(sym);
-					}
-				}
-			}
-		}
-		return s;
-	}
-
-	getRecursiveNTs(obj) {
-		// create a Set containing the recurisve non-terminal symbols of the grammar
-		var s = new Set();
-		for (const [ lhs, rhs ] of Object.entries(obj)) {
-			var recursive = false;
-			for (var prod of rhs) { // of: iterate over array
-				for (var sym of prod) {
-					if (lhs == sym) {
-						recursive = true;
-					}
-				}
-			}
-			if (recursive) {
-				s.add(lhs)
-			}			
-		}
-		return s;
-	}
-
-	loadGrammar(filename) {
-	    // given a filename, load and parse the grammar and get some useful information about it
-		
-	    //var s = this.loadFile(filename);
-	    var s = filename;
-	    var startIdx = s.indexOf("<");
-	    var endIdx = s.indexOf(">"); // we take the first NT as the start symbol
-	    var start_sym = s.slice(startIdx, endIdx+1);
-	    var obj = this.looseJsonParse(s);
-	    return {
-		"rules": obj,
-		"nonterminals": new Set(Object.keys(obj)),
-		"terminals": this.getTerminals(obj),
-		"recursive_NTs": this.getRecursiveNTs(obj), // useful for dealing with maxdepth
-		"start_rule": start_sym,
-		"LCM": this.getGrammarLCM(obj) // we will use this for max codon size
-	    };
-	}
-
-	getGrammarLCM(obj) {
-		// least common multiple of the lengths of productions in the grammar
-		// (ie numbers of rules)
-		var rule_lengths = [];
-		for (const [ lhs, rhs ] of Object.entries(obj)) {
-			rule_lengths.push(rhs.length);
-		}
-		return lcmAll(rule_lengths);
-	}
-	
-	mapGenomeToIndividual(g) {
-		// given g, return [g, p, c, f]. but return null if we run out of codons
-		let i, p, c, f;
-		i = this.genomeIterator(g)
-		p = this.mapGenomeToPhenotype(i, 0);
-		if (p == null) {
-			return null;
-		}
-		c = i.next().value[0] - 1; // subtract 1
-		f = null; // we set it later
-		return [g, p, c, f];
-	}
-
-	mapGenomeToPhenotype(g, depth, s=null) {
-		// map g to p
-		
-		// g is a genome enumerator/iterator
-		// depth is the current depth, starting at 0
-		// s is the current symbol to be expanded
-		if (s == null) {
-			s = this.grammar.start_rule;
-		}
-		// console.log("s", s);
-		var r = this.grammar.rules[s];
-		var tmp = g.next();
-		if (tmp.done == true) {
-			return null;
-		}
-
-		// console.log("r", r);
-		let codon, idx;
-		[idx, codon] = tmp.value; // we enumerate, getting idx and codon
-		// console.log("codon", codon);
-		
-		var p = r[codon % r.length]; // the mod rule
-		if ((depth >= this.maxdepth) && (this.grammar.recursive_NTs.has(s))) {
-			// we have to choose a nonrecursive production
-			while (p.indexOf(s) != -1) {
-				// try next codon value until we find a production p that doesn't recurse directly to s
-				codon = (codon + 1) % this.maxcodon; 
-				p = r[codon % r.length]; // the mod rule
-			}
-			// console.log("altered codon", codon);
-		} // FIXME we could implement a mindepth here too in the same way?
-
-		var d = [];
-		// console.log("p", p);
-		for (var i = 0; i < p.length; i++) {
-			if (this.grammar.terminals.has(p[i])) {
-				// terminal => just append
-				// console.log("just pushing", p[i]);
-				d.push(p[i]);
-			} else {
-				// nonterminal => recurse
-				let str, used_codons;
-				// console.log("recursing with", p[i]);
-				str = this.mapGenomeToPhenotype(g, depth+1, p[i]);
-				if (str == null) {
-					return null;
-				}
-				d.push(str);
-			}
-		}
-
-		return d.join("");
-	}
+    document.getElementById("resultsbody").prepend(tr);
 }
 
 
-function randrange(n) {
-	return mt.int() % n;
-}
+class BrowserGE extends GE {
+    // a GE which also writes the statistics of each generation into
+    // the #resultsbody table
 
-function random_choice(L) {
-	var i = randrange(L.length);
-	return L[i];
+    constructor(...args) {
+	super(...args);
+	this.on("generation", stats => add_result_row(stats.gen, stats.best_ever, stats.best_ever_phenotype));
+    }
 }
 
 
-// https://stackoverflow.com/a/61352020/86465
-const gcd = (a, b) => b == 0 ? a : gcd (b, a % b)
-const lcm = (a, b) =>  a / gcd (a, b) * b
-const lcmAll = (ns) => ns .reduce (lcm, 1)
+function saveToLocalStorage(ge, key) {
+    // save the whole state of a run, see GE.toJSON
+    localStorage.setItem(key, JSON.stringify(ge));
+}
 
-function replaceAll(s, a, b) {
-    while (s.indexOf(a) != -1) {
-	s = s.replace(a, b);
+function loadFromLocalStorage(key, fitness=null, options={}) {
+    // resume a run saved with saveToLocalStorage, or null if there
+    // is none. see GE.fromJSON
+    var s = localStorage.getItem(key);
+    if (s == null) {
+	return null;
     }
-    return s;
+    return BrowserGE.fromJSON(s, fitness, options);
 }
 
-
-
-function countOccurences(haystack, needle) {
-	var regExp = new RegExp(needle, "gi");
-	return (haystack.match(regExp) || []).length;
+function downloadCheckpoint(ge, filename="GEjs-checkpoint.json") {
+    // offer the state of a run as a file download
+    var blob = new Blob([JSON.stringify(ge)], {"type": "application/json"});
+    var a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
 }
 
-function count_and(ind) {
-    // A toy fitness: maximise the number of occurrences of 'and'.
-	[g, p] = ind;
-    return countOccurences(p, "and");
-}
-count_and.maximise = true;
 
-function onemax(x) {
-	[g, p] = x;
-	return g.reduce((a, b) => a + b, 0);
+function worker_run(grammar, fitness_name, params, callbacks={}) {
+    // run GE in a Web Worker (see GErunworker.js) so the page stays
+    // responsive. params is {popsize, ngens, pmut, trunc, maxdepth,
+    // genomelength, seed, options}. callbacks can have ongeneration,
+    // onpaused, ondone and onerror, each called with the message from
+    // the worker. returns an object with pause, resume and stop.
+    var w = new Worker("GErunworker.js");
+    w.onmessage = function(e) {
+	var msg = e.data;
+	var handler = callbacks["on" + msg.type];
+	if (handler) {
+	    handler(msg);
+	}
+	if (msg.type == "done" || msg.type == "error") {
+	    w.terminate();
+	}
+    };
+    w.onerror = function(e) {
+	if (callbacks.onerror) {
+	    callbacks.onerror({"type": "error", "message": e.message});
+	}
+    };
+    w.postMessage({"type": "start",
+		   "scripts": GE_SCRIPTS,
+		   "grammar": grammar,
+		   "fitness": fitness_name,
+		   "params": params});
+    return {
+	"pause": () => w.postMessage({"type": "pause"}),
+	"resume": () => w.postMessage({"type": "resume"}),
+	"stop": () => w.postMessage({"type": "stop"})
+    };
 }
-onemax.maximise = true;
 
-function lenmax(s) {
-	return s.length;
+function streamed_run(grammar, fitness_name, params) {
+    // a worker_run which streams each generation into #resultsbody,
+    // wired to the #pauseplease, #resumeplease and #stopplease buttons
+    // of the ge_sr.html and ge_weasel.html pages
+    var run = worker_run(grammar, fitness_name, params, {
+	"ongeneration": msg => add_result_row(msg.gen, msg.best.fitness, msg.best.phenotype),
+	"ondone": function(msg) {
+	    var el = document.createElement("hr");
+	    document.body.append(el);
+	    el = document.createElement("p");
+	    document.body.append("Fin!....",el);
+	    document.body.append("best_ever phenotype: ",msg.best.phenotype);
+	},
+	"onerror": msg => document.body.append("Error: " + msg.message)
+    });
+    document.getElementById("pauseplease").onclick = run.pause;
+    document.getElementById("resumeplease").onclick = run.resume;
+    document.getElementById("stopplease").onclick = run.stop;
+    return run;
 }
-lenmax.maximise = true;
 
-function RMSE(x, y) {
-	const z = math.subtract(x, y);
-	return RMS(z);
-}
 
-function RMS(x) {
-	return math.sqrt(math.sum(math.square(x)));
-}	
-
-function sr_quartic(s) {
-    // notice using math.js evaluate we can use +, -
-    // for elementwise addition, subtraction, but .* and .^
-    // for elementwise multiplication and power. (but the function
-    // would be called dotMultiply)
-    function target(x) {
-	return math.add(x, math.dotPow(x, 2), math.dotPow(x, 3), math.dotPow(x, 4));
+function workerEvaluator(scripts, fitness_name, nworkers=navigator.hardwareConcurrency || 4) {
+    // a WorkerEvaluator using nworkers Web Workers, each of which
+    // loads the given scripts (eg lodash, mathjs and GE.js, as URLs)
+    // and evaluates with the global function called fitness_name.
+    // pass it as the evaluator option and use evolveAsync.
+    var workers = [];
+    for (var i = 0; i < nworkers; i++) {
+	let w = new Worker("GEworker.js");
+	w.postMessage({"scripts": scripts, "name": fitness_name});
+	workers.push({
+	    "post": msg => w.postMessage(msg),
+	    "onresult": handler => {
+		w.onmessage = e => handler(e.data);
+		w.onerror = e => handler({"error": e.message});
+	    },
+	    "terminate": () => w.terminate()
+	});
     }
-    var X = math.matrix([[0.0], [0.1], [0.2], [0.3], [0.4], [0.5]]);
-    // console.log("s", s);
-    var fX = math.evaluate(s, {"x0": X}); // could use  {"x0": X[0], etc if needed}
-    // console.log("fX", fX);
-    var y = target(X);
-    // console.log("y", y);
-    var f = RMSE(fX, y);
-    // console.log("f", f);
-    return f;
-}	
-sr_quartic.maximise = false;
-
-function weasel(s) {
-    var weasel = "METHINKS IT IS LIKE A WEASEL";
-    var i = 0;
-    var err = 0;
-    for (; i < weasel.length; i++) { 
-	if (weasel[i] != s[i]){
-	    err++;
-	}
-    }
-    return err;
+    return new WorkerEvaluator(workers);
 }
-weasel.maximise = false;
+
 
 function test_run(grammar) {
     // constructor(fitness,
-    // 			gram_file, 
+    // 			grammar,
     // 			popsize,
     // 			ngens,
     // 			pmut,
@@ -554,9 +167,8 @@ function test_run(grammar) {
     // 			genomelength=200,
     // 			seed=null)	
 
-    //    var ge = new GE(sr_quartic, "sr_grammar.json", 50, 10, 0.2, 0.3, 6);
     
-    var ge = new GE(sr_quartic, grammar, 50, 10, 0.2, 0.3, 6);
+    var ge = new BrowserGE(sr_quartic, grammar, 50, 10, 0.2, 0.3, 6);
     ge.init();
     var best_ever = ge.evolve();
     ge.describe_ind(best_ever);
@@ -574,8 +186,7 @@ function test_interactive_run(grammar) {
     // direct selection of the parents that we tell have fitness = 1.
     // n generations will also be ignored.
 
-    //    var ge = new GE(null, "sr_grammar.json", 10, 5, 0.2, 0.3, 6);
-    var ge = new GE(null, grammar, 10, 5, 0.2, 0.3, 6);
+    var ge = new BrowserGE(null, grammar, 10, 5, 0.2, 0.3, 6);
     ge.init();
     for (var i = 0; i < 5; i++) {
 	var x = ge.ask();
@@ -587,7 +198,7 @@ function test_interactive_run(grammar) {
 	
 function weasel_run(grammar) {
     // constructor(fitness,
-    // 			gram_file, 
+    // 			grammar,
     // 			popsize,
     // 			ngens,
     // 			pmut,
@@ -596,7 +207,7 @@ function weasel_run(grammar) {
     // 			genomelength=200,
     // 			seed=null)	
 
-    var ge = new GE(weasel, grammar, 100, 50, 0.2, 0.3, 100);
+    var ge = new BrowserGE(weasel, grammar, 100, 50, 0.2, 0.3, 100);
     ge.init();
     var best_ever = ge.evolve();
     ge.describe_ind(best_ever);
@@ -607,78 +218,315 @@ function weasel_run(grammar) {
     document.body.append("best_ever phenotype: ",ge.best_ever[1]);
 }
 
-function grid_interactive_run(grammar) {
+const GRID_SESSION_KEY = "GEjs-grid-session";
+const GRID_HISTORY_KEY = "GEjs-grid-history";
+
+function grid_resume_run(renderer="text") {
+    // resume the last grid session saved in localStorage, if any.
+    // as in grid_interactive_run, a #renderer <select> overrides
+    // renderer.
+    var ge = loadFromLocalStorage(GRID_SESSION_KEY);
+    if (ge == null) {
+	return null;
+    }
+    var s = localStorage.getItem(GRID_HISTORY_KEY);
+    grid_interactive_run(null, ge, renderer, (s == null) ? null : SessionHistory.fromJSON(s));
+    return ge;
+}
+
+function save_grid_session(ge, history) {
+    // the history can outgrow localStorage, in which case we keep
+    // only the session itself
+    saveToLocalStorage(ge, GRID_SESSION_KEY);
+    try {
+	localStorage.setItem(GRID_HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+	localStorage.removeItem(GRID_HISTORY_KEY);
+	console.warn("session history too big to save: " + e.message);
+    }
+}
+
+function show_history(history, go) {
+    // draw the history tree into #history, if the page has one: each
+    // generation is a button calling go(id), with what the user rated
+    // to breed it
+    var panel = document.getElementById("history");
+    if (panel == null) {
+	return;
+    }
+    var item = function(id) {
+	var node = history.nodes[id];
+	var li = document.createElement("li");
+	var b = document.createElement("button");
+	b.type = "button";
+	b.textContent = "generation " + node.gen;
+	b.disabled = (id == history.current);
+	b.addEventListener("click", () => go(id));
+	li.appendChild(b);
+	var chosen = history.top_rated(id).slice(0, 3);
+	if (chosen.length > 0) {
+	    li.append(" from " + chosen.map(x => x[0] + " (" + "\u2605".repeat(x[1]) + ")").join(", "));
+	}
+	if (node.children.length > 0) {
+	    var ul = document.createElement("ul");
+	    node.children.forEach(c => ul.appendChild(item(c)));
+	    li.appendChild(ul);
+	}
+	return li;
+    };
+    var ul = document.createElement("ul");
+    ul.appendChild(item(0));
+    panel.replaceChildren(ul);
+}
+
+function build_grid(n) {
+    // make sure #grid has n cells, each with a star rating
+    var grid = document.getElementById("grid");
+    while (grid.childNodes.length > n) {
+	grid.lastChild.remove();
+    }
+    for (var j = grid.childNodes.length; j < n; j++) {
+	var item = document.createElement("div");
+	item.className = "grid-item";
+	item.id = (j + 1).toString();
+	item.appendChild(document.createElement("div")); // for the phenotype
+	var rating = document.createElement("span");
+	rating.className = "rating";
+	star_rating(rating);
+	item.appendChild(rating);
+	grid.appendChild(item);
+    }
+}
+
+// the settings panel of ge_grid.html: [GE parameter, input id, integer?]
+const GRID_SETTINGS = [
+    ["popsize", "set_popsize", true],
+    ["pmut", "set_pmut", false],
+    ["maxdepth", "set_maxdepth", true],
+    ["genomelength", "set_genomelength", true],
+    ["seed", "set_seed", true],
+    ["mutation_strength", "set_mutation_strength", true]
+];
+
+function read_settings() {
+    // the parameters in the settings panel, for GE.set_params. an
+    // empty seed means null (random). throws an Error if one is bad.
+    var params = {};
+    for (const [name, id, integer] of GRID_SETTINGS) {
+	var el = document.getElementById(id);
+	if (el == null) {
+	    continue;
+	}
+	if (name == "seed" && el.value.trim() == "") {
+	    params.seed = null;
+	    continue;
+	}
+	var x = Number(el.value);
+	var ok = el.value.trim() != "" && isFinite(x) && (!integer || Number.isInteger(x)) &&
+	    ((name == "pmut") ? (x >= 0 && x <= 1) : (name == "seed" || x >= 1));
+	if (!ok) {
+	    throw new Error("bad value for " + name + ": " + el.value);
+	}
+	params[name] = x;
+    }
+    return params;
+}
+
+function write_settings(ge) {
+    // show the parameters of ge in the settings panel
+    for (const [name, id, integer] of GRID_SETTINGS) {
+	var el = document.getElementById(id);
+	if (el != null) {
+	    el.value = (ge[name] == null) ? "" : String(ge[name]);
+	}
+    }
+}
+
+function show_grid(x, renderer) {
+    // draw each individual of x in its grid cell with the renderer,
+    // a name in renderers (see GErender.js) or a function
+    var render = (typeof renderer == "function") ? renderer : renderers[renderer];
+    build_grid(x.length);
+    for (var j = 0; j < x.length; j++) {
+	var item = document.getElementById((j + 1).toString()); //find the grid cell to replace
+	var node;
+	try {
+	    node = render(x[j][1], 150);
+	} catch (e) {
+	    // a broken drawing shouldn't stop the session
+	    node = renderers.text(x[j][1], 150);
+	}
+	item.replaceChild(node, item.childNodes[0]); //replace the grid cell with the new phenotype
+    }
+}
+
+function star_rating(el, stars=5) {
+    // fill el with star buttons for a rating of 1 to stars, kept in
+    // el.dataset.rating. 0 means not rated: clicking the current
+    // rating again clears it.
+    el.dataset.rating = 0;
+    var show = function() {
+	el.childNodes.forEach((b, i) => b.classList.toggle("on", i < el.dataset.rating));
+    };
+    for (let i = 1; i <= stars; i++) {
+	var b = document.createElement("button");
+	b.type = "button";
+	b.textContent = "\u2605";
+	b.title = i + (i == 1 ? " star" : " stars");
+	b.addEventListener("click", function() {
+	    el.dataset.rating = (el.dataset.rating == i) ? 0 : i;
+	    show();
+	});
+	el.appendChild(b);
+    }
+    el.set = function(rating) {
+	el.dataset.rating = rating;
+	show();
+    };
+    el.reset = () => el.set(0);
+}
+
+function write_ratings(ratings) {
+    // show ratings in the .rating elements in #population, eg to
+    // re-choose after going back in the history
+    var els = document.getElementById("population").querySelectorAll(".rating");
+    els.forEach((el, i) => el.set(ratings[i] || 0));
+}
+
+function read_ratings() {
+    // the ratings of the .rating elements in #population, in order,
+    // and clear them for the next generation
+    var els = document.getElementById("population").querySelectorAll(".rating");
+    return Array.from(els, function(el) {
+	var r = Number(el.dataset.rating);
+	el.reset();
+	return r;
+    });
+}
+
+function fill_renderer_select(renderer="text") {
+    // offer all the renderers in the page's #renderer <select>, if it
+    // has one and they aren't there already. returns the select.
+    var select = document.getElementById("renderer");
+    if (select != null && select.options.length == 0) {
+	for (var name of Object.keys(renderers)) {
+	    select.add(new Option(name, name));
+	}
+	select.value = renderer;
+    }
+    return select;
+}
+
+function grid_interactive_run(grammar, ge=null, renderer="text", history=null) {
     // in an interactive setting, we use an "ask-tell" interface.                                                                     
     // we can pass null as the fitness.
-    // truncation proportion will be ignored as we will use                                                                           
-    // direct selection of the parents that we tell have fitness = 1.                                                                 
+    // truncation proportion will be ignored as the user rates the
+    // individuals with 1-5 stars, and we tell GE the ratings as
+    // fitness values (0 for unrated), so parents are chosen in
+    // proportion to their ratings (see the "rating" selection).
     // n generations will also be ignored.                                                                                             
+    // if ge is given we resume that session instead, and after each
+    // generation we save the session to localStorage. renderer draws
+    // the phenotypes, see GErender.js; if the page has a #renderer
+    // <select> we offer all the renderers there instead. every
+    // generation is kept in a SessionHistory (history, if we resume),
+    // shown in #history, where the user can go back to any of them,
+    // or undo, and rate again to start a new branch. a new session
+    // takes its parameters from the settings panel, and changing them
+    // there applies to the session from the next generation.
     
-    var ge = new GE(null, grammar, 20, 5, 0.2, 0.3, 6);
-    ge.init();
+    if (ge == null) {
+	var p = read_settings();
+	ge = new BrowserGE(null, grammar, p.popsize || 20, 5, (p.pmut === undefined) ? 0.2 : p.pmut, 0.3,
+			   p.maxdepth || 6, p.genomelength || 200, (p.seed === undefined) ? null : p.seed,
+			   {"mutation_strength": p.mutation_strength || 1});
+	ge.init();
+    }
+    if (history == null) {
+	history = new SessionHistory();
+	history.record(ge);
+    }
+
+    var go = function(id, ratings=null) {
+	// show node id of the history, with ratings in the stars
+	ge = history.restore(id, BrowserGE);
+	write_settings(ge);
+	show_grid(ge.ask(), renderer);
+	write_ratings(ratings || []);
+	show_history(history, go);
+	save_grid_session(ge, history);
+    };
+
+    // the page's controls are wired with onclick etc rather than
+    // addEventListener, so starting another session (a new grammar,
+    // or resuming) replaces the handlers of this one
+    var select = fill_renderer_select(renderer);
+    if (select != null) {
+	renderer = select.value;
+	select.onchange = function() {
+	    renderer = select.value;
+	    show_grid(ge.ask(), renderer);
+	};
+    }
+
+    write_settings(ge);
+    var apply = document.getElementById("applysettings");
+    if (apply != null) {
+	apply.onclick = function() {
+	    var message = document.getElementById("settingsmessage");
+	    try {
+		ge.set_params(read_settings());
+		save_grid_session(ge, history);
+		message.textContent = "Applied: the next generation will use these settings.";
+	    } catch (e) {
+		message.textContent = e.message;
+	    }
+	};
+    }
 
     //display the initial population on the webpage
-    var x = ge.ask();
-    for (var j = 0; j < ge.popsize; j++) {
-	var jindex = j + 1;
-	var gridindex = jindex.toString();
-	    
-	// create a new <div> element for each phenotype to replace each grid cell
-	var divelement = document.createElement("div");
-	var textnode = document.createTextNode(x[j][1]); //copy phenotype into grid cell
-	divelement.appendChild(textnode);
-	var item = document.getElementById(gridindex); //find the grid cell to replace
-	item.replaceChild(divelement, item.childNodes[0]); //replace the grid cell with the new phenotype
-    } 
+    show_grid(ge.ask(), renderer);
+    show_history(history, go);
 
     
     // wait for user to ask for the next generation
-    document.getElementById("nextgenerationplease").addEventListener("click", function(){
-
-	//collect fitness values (i.e., direct selection) from the user	    
-	var el = document.getElementById("population");
-	var inputs = el.getElementsByTagName("input");
-	var selects = new Array();
-	for (var i=0, len=inputs.length; i<len; i++) {
-	    if ( inputs[i].type == "checkbox" ) {
-		if ( inputs[i].checked ) {
-		    selects.push(1);
-		}
-		else{
-		    selects.push(0);
-		}
-	    }
-	    inputs[i].checked = false;
-	}
-	console.log(selects);
-	// pass in the selection choices & generate the next population
-	ge.tell(selects);
+    document.getElementById("nextgenerationplease").onclick = function() {
+
+	//collect fitness values (i.e., ratings) from the user
+	var ratings = read_ratings();
+	// pass in the ratings & generate the next population
+	ge.tell(ratings);
 
 
 	//display the new population on the webpage
-	var x = ge.ask();
-	for (var j = 0; j < ge.popsize; j++) {
-	    var jindex = j + 1;
-	    var gridindex = jindex.toString();
-	    
-	    // create a new <div> element for each phenotype to replace each grid cell
-	    var divelement = document.createElement("div");
-	    var textnode = document.createTextNode(x[j][1]); //copy phenotype into grid cell
-	    divelement.appendChild(textnode);
-	    var item = document.getElementById(gridindex); //find the grid cell to replace
-	    item.replaceChild(divelement, item.childNodes[0]); //replace the grid cell with the new phenotype
-	} 
+	show_grid(ge.ask(), renderer);
 
 	ge.gen++;
-    });
+	history.record(ge, ratings);
+	show_history(history, go);
+	save_grid_session(ge, history);
+    };
+
+    document.getElementById("undoplease").onclick = function() {
+	// back to the previous generation, with the ratings the user
+	// gave it, to re-choose
+	var node = history.nodes[history.current];
+	if (node.parent != null) {
+	    go(node.parent, node.ratings);
+	}
+    };
+
+    document.getElementById("downloadplease").onclick = function() {
+	downloadCheckpoint(ge, "GEjs-grid-session.json");
+    };
     
 
-    document.getElementById("finplease").addEventListener("click", function(){
+    document.getElementById("finplease").onclick = function() {
 	// console.log("Generate next generation!");
 	var el = document.createElement("hr");
 	document.body.append(el);
 	el = document.createElement("p");
 	document.body.append("Fin!....",el);
 	document.body.append("best_ever phenotype: ",ge.best_ever[1]);
-    });
+    };
 }
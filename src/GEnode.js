@@ -0,0 +1,220 @@
+/*
+ * Node adapter for GEjs. The GE class itself lives in GE.js and knows
+ * nothing about the file system or threads, so here we provide file
+ * loading, checkpoint files, run logs, parallel evaluation in worker
+ * threads and the example runs that used to be at the bottom of GE.js.
+ *
+ * node GEnode.js
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var GEjs = require('./GE.js');
+var GE = GEjs.GE;
+
+
+function loadFile(filename) {
+	// just read a file as plain text
+	// https://stackoverflow.com/a/40200549/86465
+	var buffer = fs.readFileSync(filename);
+	return buffer.toString();
+}
+
+function checkGrammarFile(filename, start_symbol=null) {
+	// check a grammar file without running anything, print the
+	// report and return it
+	var rules, start, terminals;
+	[rules, start, terminals] = GE.prototype.parseGrammar(loadFile(filename), start_symbol);
+	var report = GEjs.checkGrammar(rules, start, terminals);
+	console.log(GEjs.formatGrammarReport(report));
+	return report;
+}
+
+function loadRegressionCSV(filename, options={}) {
+	// a symbolic regression problem on the data in a CSV file with a
+	// header row, see sr_problem in GE.js for the options
+	var data = GEjs.parseCSV(loadFile(filename));
+	var problem = GEjs.sr_problem(data.names, data.rows, options);
+	problem.settings = Object.assign({"csv": path.resolve(filename)}, problem.settings);
+	return problem;
+}
+
+function saveCheckpoint(ge, filename) {
+	// save the whole state of a run, see GE.toJSON. we write to a
+	// temporary file first so a crash can't leave a half-written
+	// checkpoint.
+	var tmp = filename + ".tmp";
+	fs.writeFileSync(tmp, JSON.stringify(ge));
+	fs.renameSync(tmp, filename);
+}
+
+function loadCheckpoint(filename, fitness=null, options={}, cls=GE) {
+	// resume a run saved with saveCheckpoint, see GE.fromJSON
+	return cls.fromJSON(loadFile(filename), fitness, options);
+}
+
+function workerEvaluator(fitness_module, fitness_name, nworkers=os.cpus().length) {
+	// a WorkerEvaluator using nworkers worker threads, each of which
+	// evaluates with require(fitness_module)[fitness_name]. pass it
+	// as the evaluator option and use evolveAsync. call close() on it
+	// when finished, else Node won't exit. we only need worker_threads
+	// here, so the rest works on Node versions without it.
+	var worker_threads = require('worker_threads');
+	var workers = [];
+	for (var i = 0; i < nworkers; i++) {
+		let w = new worker_threads.Worker(path.join(__dirname, "GEworker.js"), {
+			"workerData": {"module": path.resolve(fitness_module), "name": fitness_name}
+		});
+		workers.push({
+			"post": msg => w.postMessage(msg),
+			"onresult": handler => {
+				w.on('message', handler);
+				w.on('error', err => handler({"error": err.message}));
+				// eg process.exit() in the fitness function, which
+				// gives no error. after an error this changes nothing.
+				w.on('exit', code => handler({"error": "worker exited with code " + code}));
+			},
+			"terminate": () => w.terminate()
+		});
+	}
+	return new GEjs.WorkerEvaluator(workers);
+}
+
+function csvField(x) {
+	// quote a value for CSV if it needs it
+	var s = (x == null) ? "" : String(x);
+	if (/[",\n\r]/.test(s)) {
+		s = '"' + s.replace(/"/g, '""') + '"';
+	}
+	return s;
+}
+
+class RunLogger {
+	// writes the statistics of each generation of ge to filename,
+	// and if population_filename is given the whole population too
+	// (genome, phenotype, used codons, fitness). the format is CSV or
+	// JSON Lines according to the file extension (.csv or .jsonl).
+	// each file begins with a header giving ge.settings(): in JSONL it
+	// is the first line, in CSV a line starting with "# ". info has
+	// anything else the header needs to reproduce the run, eg the
+	// settings of an sr_problem. create the logger before ge.init()
+	// and call close() when finished (done for you at the end of
+	// evolve).
+	constructor(ge, filename, population_filename=null, info={}) {
+		this.ge = ge;
+		var header = Object.assign({"type": "header", "started": new Date().toISOString()}, ge.settings(), info);
+		this.stats_file = this.open(filename, header);
+		this.pop_file = (population_filename == null) ? null : this.open(population_filename, header);
+		this.on_generation = stats => this.log(stats);
+		this.on_done = () => this.close();
+		ge.on("generation", this.on_generation);
+		ge.on("done", this.on_done);
+	}
+
+	open(filename, header) {
+		var f = {"fd": fs.openSync(filename, "w"), "csv": path.extname(filename).toLowerCase() == ".csv", "columns": null};
+		if (!f.csv && path.extname(filename).toLowerCase() != ".jsonl") {
+			throw new Error("run log must be .csv or .jsonl: " + filename);
+		}
+		fs.writeSync(f.fd, (f.csv ? "# " : "") + JSON.stringify(header) + "\n");
+		return f;
+	}
+
+	write(f, row) {
+		if (!f.csv) {
+			fs.writeSync(f.fd, JSON.stringify(row) + "\n");
+			return;
+		}
+		if (f.columns == null) {
+			f.columns = Object.keys(row);
+			fs.writeSync(f.fd, f.columns.map(csvField).join(",") + "\n");
+		}
+		fs.writeSync(f.fd, f.columns.map(k => csvField(row[k])).join(",") + "\n");
+	}
+
+	log(stats) {
+		this.write(this.stats_file, stats);
+		if (this.pop_file != null) {
+			var ge = this.ge;
+			ge.pop.forEach((ind, i) => this.write(this.pop_file, {
+				"gen": stats.gen,
+				"index": i,
+				"genome": this.pop_file.csv ? ind[0].join(" ") : ind[0],
+				"phenotype": ind[1],
+				"used_codons": ind[2],
+				"fitness": ind[3]
+			}));
+		}
+	}
+
+	close() {
+		// stop logging and close the files
+		if (this.stats_file == null) {
+			return;
+		}
+		this.ge.off("generation", this.on_generation);
+		this.ge.off("done", this.on_done);
+		fs.closeSync(this.stats_file.fd);
+		if (this.pop_file != null) {
+			fs.closeSync(this.pop_file.fd);
+		}
+		this.stats_file = this.pop_file = null;
+	}
+}
+
+function test_run() {
+	// constructor(fitness,
+	// 			grammar,
+	// 			popsize,
+	// 			ngens,
+	// 			pmut,
+	// 			trunc,
+	// 			maxdepth,
+	// 			genomelength=200,
+	// 			seed=null)
+	var grammar = loadFile(path.join(__dirname, "sr_grammar.json"));
+    var ge = new GE(GEjs.sr_quartic, grammar, 50, 10, 0.2, 0.3, 6);
+    ge.init();
+    var best_ever = ge.evolve();
+    ge.describe_ind(best_ever);
+}
+
+function test_interactive_run() {
+	// in an interactive setting, we use an "ask-tell" interface.
+	// we can pass null as the fitness.
+	// truncation proportion will be ignored as we will use
+	// direct selection of the parents that we tell have fitness = 1.
+	// n generations will also be ignored.
+	var grammar = loadFile(path.join(__dirname, "sr_grammar.json"));
+	var ge = new GE(null, grammar, 10, 5, 0.2, 0.3, 6);
+	ge.init();
+	for (var i = 0; i < 5; i++) {
+		var x = ge.ask();
+		// we can integrate this into an event loop or whatever.
+		// we "tell" GE the fitvals that we get from the UI
+		ge.tell([1, 1, 1, 1, 1, 0, 0, 0, 0, 0]);
+	}
+}
+
+
+module.exports = {
+	loadFile,
+	checkGrammarFile,
+	loadRegressionCSV,
+	saveCheckpoint,
+	loadCheckpoint,
+	workerEvaluator,
+	RunLogger,
+	test_run,
+	test_interactive_run
+};
+
+if (require.main === module) {
+	test_run();
+	//test_interactive_run();
+}
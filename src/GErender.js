@@ -0,0 +1,204 @@
+/*
+ * Phenotype renderers for the interactive grid (see
+ * grid_interactive_run in GEbrowser.js). A renderer is a function
+ * (phenotype, size) -> DOM node, where size is the width and height
+ * in pixels. Load this after GE.js:
+ *
+ * <script type="text/javascript" src="GErender.js"></script>
+ *
+ * The built-in renderers, each with an example grammar:
+ *
+ * text: the phenotype as text, for any grammar.
+ * svg: shapes on a 100x100 SVG canvas, one command per ";", eg
+ *   "circle 50 50 20 red; rect 10 10 30 40 blue; line 0 0 100 100
+ *   black". See svg_grammar.bnf.
+ * turtle: turtle graphics on a canvas, as in L-systems: F draws a
+ *   step forward, f moves without drawing, + and - turn by the angle
+ *   (25 degrees, or set by a leading number, eg "60 F++F++F"), and [
+ *   and ] save and restore the turtle. The drawing is scaled to fit.
+ *   See turtle_grammar.bnf.
+ * palette: a row of colour swatches, from colours separated by
+ *   spaces or commas (#rgb, #rrggbb, rgb(...), hsl(...) or names).
+ *   See palette_grammar.bnf.
+ * sr_curve: the curve of an SR phenotype in x0 for x0 in [-1, 1], as
+ *   from sr_grammar.bnf.
+ *
+ * To add one, add a function to renderers, and ge_grid.html will
+ * offer it.
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function svg_element(tag, attrs) {
+	var el = document.createElementNS(SVG_NS, tag);
+	for (const [k, v] of Object.entries(attrs)) {
+		el.setAttribute(k, v);
+	}
+	return el;
+}
+
+function svg_canvas(size, viewbox) {
+	return svg_element("svg", {"width": size, "height": size, "viewBox": viewbox});
+}
+
+// the svg renderer's commands: the attributes taken from the numbers
+// in order, and the colour last. colours are checked by the browser
+// via CSS.supports so no markup can get in.
+const SVG_SHAPES = {
+	"circle": {"numbers": ["cx", "cy", "r"], "paint": "fill"},
+	"rect": {"numbers": ["x", "y", "width", "height"], "paint": "fill"},
+	"ellipse": {"numbers": ["cx", "cy", "rx", "ry"], "paint": "fill"},
+	"line": {"numbers": ["x1", "y1", "x2", "y2"], "paint": "stroke"}
+};
+
+function render_svg_command(svg, command) {
+	var words = command.trim().split(/\s+/);
+	var shape = SVG_SHAPES[words[0]];
+	if (shape === undefined) {
+		return; // ignore what we don't know
+	}
+	var attrs = {};
+	shape.numbers.forEach((name, i) => {
+		var x = Number(words[i + 1]);
+		attrs[name] = isFinite(x) ? x : 0;
+	});
+	var colour = words[shape.numbers.length + 1];
+	attrs[shape.paint] = (colour && CSS.supports("color", colour)) ? colour : "black";
+	if (shape.paint == "stroke") {
+		attrs["stroke-width"] = 2;
+	}
+	svg.appendChild(svg_element(words[0], attrs));
+}
+
+function turtle_segments(phenotype) {
+	// run the turtle, returning the segments [x1, y1, x2, y2] it draws
+	var m = /^\s*(-?\d+(\.\d+)?)/.exec(phenotype);
+	var angle = (m ? Number(m[1]) : 25) * Math.PI / 180;
+	var program = m ? phenotype.slice(m[0].length) : phenotype;
+	var x = 0, y = 0, heading = -Math.PI / 2; // up
+	var stack = [];
+	var segments = [];
+	for (var ch of program) {
+		if (ch == "F" || ch == "f") {
+			var nx = x + Math.cos(heading), ny = y + Math.sin(heading);
+			if (ch == "F") {
+				segments.push([x, y, nx, ny]);
+			}
+			[x, y] = [nx, ny];
+		} else if (ch == "+") {
+			heading += angle;
+		} else if (ch == "-") {
+			heading -= angle;
+		} else if (ch == "[") {
+			stack.push([x, y, heading]);
+		} else if (ch == "]" && stack.length > 0) {
+			[x, y, heading] = stack.pop();
+		}
+	}
+	return segments;
+}
+
+function sr_curve_points(phenotype, n) {
+	// n + 1 points [x, y] of the phenotype for x in [-1, 1]
+	var xs = _.range(n + 1).map(i => -1 + 2 * i / n);
+	var f = compile_phenotype(phenotype);
+	var ys = (f == null) ? null : Array.from(f([xs], xs.length));
+	if (ys == null || ys.some(isNaN)) {
+		try {
+			var scope = Object.assign({"x0": math.matrix(xs)}, protected_functions);
+			var v = math.evaluate(phenotype, scope);
+			ys = xs.map((x, i) => math.isMatrix(v) ? v.get([i]) : v);
+		} catch (e) {
+			ys = xs.map(() => NaN);
+		}
+	}
+	return xs.map((x, i) => [x, (typeof ys[i] == "number") ? ys[i] : NaN]);
+}
+
+const renderers = {
+
+	text: function(phenotype, size) {
+		var div = document.createElement("div");
+		div.textContent = phenotype;
+		return div;
+	},
+
+	svg: function(phenotype, size) {
+		var svg = svg_canvas(size, "0 0 100 100");
+		for (var command of phenotype.split(";")) {
+			render_svg_command(svg, command);
+		}
+		return svg;
+	},
+
+	turtle: function(phenotype, size) {
+		var canvas = document.createElement("canvas");
+		canvas.width = canvas.height = size;
+		var segments = turtle_segments(phenotype);
+		if (segments.length == 0) {
+			return canvas;
+		}
+		// scale and centre the drawing, with a margin
+		var xs = _.flatMap(segments, s => [s[0], s[2]]);
+		var ys = _.flatMap(segments, s => [s[1], s[3]]);
+		var [x0, x1, y0, y1] = [_.min(xs), _.max(xs), _.min(ys), _.max(ys)];
+		var scale = 0.9 * size / Math.max(x1 - x0, y1 - y0, 1e-9);
+		var ox = (size - scale * (x1 - x0)) / 2 - scale * x0;
+		var oy = (size - scale * (y1 - y0)) / 2 - scale * y0;
+		var ctx = canvas.getContext("2d");
+		ctx.beginPath();
+		for (var s of segments) {
+			ctx.moveTo(ox + scale * s[0], oy + scale * s[1]);
+			ctx.lineTo(ox + scale * s[2], oy + scale * s[3]);
+		}
+		ctx.stroke();
+		return canvas;
+	},
+
+	palette: function(phenotype, size) {
+		var div = document.createElement("div");
+		div.style.display = "flex";
+		div.style.width = div.style.height = size + "px";
+		var colours = phenotype.split(/[\s,]+(?![^(]*\))/).filter(c => c && CSS.supports("color", c));
+		for (var c of colours) {
+			var swatch = document.createElement("div");
+			swatch.style.flex = "1";
+			swatch.style.backgroundColor = c;
+			div.appendChild(swatch);
+		}
+		return div;
+	},
+
+	sr_curve: function(phenotype, size) {
+		// y is scaled to fit, with the axes in grey
+		var points = sr_curve_points(phenotype, 100);
+		var finite = points.filter(p => isFinite(p[1]));
+		var lo = Math.min(-1, _.min(finite.map(p => p[1])) || 0);
+		var hi = Math.max(1, _.max(finite.map(p => p[1])) || 0);
+		var svg = svg_canvas(size, "0 0 100 100");
+		var sx = x => 50 + 48 * x;
+		var sy = y => 98 - 96 * (y - lo) / (hi - lo);
+		svg.appendChild(svg_element("line", {"x1": 0, "y1": sy(0), "x2": 100, "y2": sy(0), "stroke": "#aaa"}));
+		svg.appendChild(svg_element("line", {"x1": sx(0), "y1": 0, "x2": sx(0), "y2": 100, "stroke": "#aaa"}));
+		// one polyline per run of finite points
+		var run = [];
+		for (var p of points.concat([[0, NaN]])) {
+			if (isFinite(p[1])) {
+				run.push(sx(p[0]) + "," + sy(p[1]));
+			} else if (run.length > 0) {
+				svg.appendChild(svg_element("polyline", {"points": run.join(" "), "fill": "none", "stroke": "blue", "stroke-width": 1.5}));
+				run = [];
+			}
+		}
+		var title = svg_element("title", {});
+		title.textContent = phenotype;
+		svg.appendChild(title);
+		return svg;
+	}
+};
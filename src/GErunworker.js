@@ -0,0 +1,108 @@
+/*
+ * Web Worker which hosts a whole GE run, so that a page stays
+ * responsive while it evolves. See worker_run in GEbrowser.js for the
+ * page side. The protocol is:
+ *
+ * page -> worker
+ * {type: "start", scripts, grammar, fitness, params}: scripts are
+ *   loaded with importScripts (lodash, mersennetwister, mathjs and
+ *   GE.js), fitness is the name of a global fitness function, and
+ *   params is {popsize, ngens, pmut, trunc, maxdepth, genomelength,
+ *   seed, options}. options can't contain functions.
+ * {type: "pause"}, {type: "resume"}, {type: "stop"}
+ *
+ * worker -> page
+ * {type: "generation", gen, evaluations, invalids, stats, best} after
+ *   each generation, where stats is as in GE.statistics() and best is
+ *   {phenotype, fitness, codons}
+ * {type: "paused"}
+ * {type: "done", gen, evaluations, best} when finished or stopped
+ * {type: "error", message}
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+var ge = null;
+var state = "idle"; // "running", "paused" or "stopped"
+
+function describe_best(ge) {
+	var ind = ge.best_ever;
+	return {"phenotype": ind[1], "fitness": ind[3], "codons": ind[2]};
+}
+
+function start(msg) {
+	importScripts(...msg.scripts);
+	var fitness = self[msg.fitness];
+	if (typeof fitness != "function") {
+		// else GE would take it for an interactive run
+		self.postMessage({"type": "error", "message": "no fitness function " + msg.fitness});
+		return;
+	}
+	var p = msg.params;
+
+	// report each generation instead of printing it
+	var options = Object.assign({"verbose": false}, p.options);
+	ge = new GE(fitness, msg.grammar, p.popsize, p.ngens, p.pmut, p.trunc, p.maxdepth,
+				p.genomelength || 200, (p.seed === undefined) ? null : p.seed, options);
+	ge.on("generation", function(stats) {
+		self.postMessage({"type": "generation",
+						  "gen": stats.gen,
+						  "evaluations": stats.evaluations,
+						  "invalids": stats.invalids,
+						  "stats": stats,
+						  "best": describe_best(ge)});
+	});
+	ge.init();
+	ge.gen = 0;
+	state = "running";
+	run_some();
+}
+
+function run_some() {
+	// one step at a time, yielding to the event loop in between so
+	// we can receive pause and stop messages
+	if (state != "running") {
+		return;
+	}
+	if (ge.finished()) {
+		finish();
+		return;
+	}
+	try {
+		ge.step();
+	} catch (err) {
+		state = "stopped";
+		self.postMessage({"type": "error", "message": String(err && err.message || err)});
+		return;
+	}
+	setTimeout(run_some, 0);
+}
+
+function finish() {
+	state = "stopped";
+	self.postMessage({"type": "done",
+					  "gen": ge.gen,
+					  "evaluations": ge.evaluations,
+					  "best": describe_best(ge)});
+}
+
+self.onmessage = function(e) {
+	var msg = e.data;
+	if (msg.type == "start" && state == "idle") {
+		try {
+			start(msg);
+		} catch (err) {
+			self.postMessage({"type": "error", "message": String(err && err.message || err)});
+		}
+	} else if (msg.type == "pause" && state == "running") {
+		state = "paused";
+		self.postMessage({"type": "paused"});
+	} else if (msg.type == "resume" && state == "paused") {
+		state = "running";
+		run_some();
+	} else if (msg.type == "stop" && (state == "running" || state == "paused")) {
+		finish();
+	}
+};
@@ -0,0 +1,48 @@
+/*
+ * Worker script for parallel fitness evaluation (see WorkerEvaluator
+ * in GE.js). It runs in a Node worker thread or a browser Web Worker.
+ *
+ * In Node, workerData is {module, name}: the fitness function is
+ * require(module)[name]. In the browser, the first message is
+ * {scripts, name}: we importScripts(...scripts) and the fitness
+ * function is the global called name.
+ *
+ * Then each message {id, phenotypes} gets the reply {id, fitvals}, or
+ * {id, error} if there is no fitness function. The fitness function
+ * may return a Promise. If it throws for a phenotype, that fitness
+ * value is null, which GE.tell penalises.
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+var fitness = null;
+
+function evaluate(msg, reply) {
+	if (typeof fitness != "function") {
+		reply({"id": msg.id, "error": "no fitness function"});
+		return;
+	}
+	Promise.all(msg.phenotypes.map(p => new Promise(resolve => resolve(fitness(p))).catch(() => null))).then(
+		fitvals => reply({"id": msg.id, "fitvals": fitvals}));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	// Node worker thread
+	var worker_threads = require('worker_threads');
+	fitness = require(worker_threads.workerData.module)[worker_threads.workerData.name];
+	worker_threads.parentPort.on('message', function(msg) {
+		evaluate(msg, reply => worker_threads.parentPort.postMessage(reply));
+	});
+} else {
+	// browser Web Worker
+	self.onmessage = function(e) {
+		if (fitness == null) {
+			importScripts(...e.data.scripts);
+			fitness = self[e.data.name];
+			return;
+		}
+		evaluate(e.data, reply => self.postMessage(reply));
+	};
+}
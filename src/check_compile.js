@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/*
+ * Checks that compile_phenotype in GE.js gives the same values as
+ * math.evaluate, on random individuals from some SR grammars. Run it
+ * after changing the compiler, the protected functions or the SR
+ * grammars:
+ *
+ * node check_compile.js [N] [GRAMMAR ...]
+ *
+ * N is the number of individuals per grammar (default 1000). The
+ * grammars default to sr_grammar.bnf, sr_protected_grammar.bnf and
+ * one using every operator and function the compiler accepts; their
+ * variables must be among x0 and x1. Where the compiled values
+ * include NaN, sr_problem and sr_quartic fall back to math.evaluate,
+ * so there we only check that it compiled. Exits with status 1 if
+ * any individual differs.
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+var path = require('path');
+var math = require('mathjs');
+var GEjs = require('./GE.js');
+var GEnode = require('./GEnode.js');
+var GE = GEjs.GE;
+
+
+// every operator and function of the compiler's whitelist
+const WHITELIST_GRAMMAR = `<e>     ::= (<e><bop><e>) | <uop><e> | <fn>(<e>) | pdiv(<e>, <e>) | (<e>.^<pow>) | <var> | <const>
+<fn>    ::= sin | cos | tanh | abs | plog | psqrt | pexp
+<pow>   ::= 2 | -1 | 0.5 | <var>
+<var>   ::= x0 | x1
+<const> ::= 0.1 | 1.0 | 3 | 1e-3
+<bop>   ::= + | - | .* | ./
+<uop>   ::= - | +`;
+
+const VARS = ["x0", "x1"];
+
+function columns(n) {
+	// values of x0 and x1, including some negatives and zeros
+	return [
+		Array.from({"length": n}, (x, i) => Math.round(3 * Math.sin(i) * 100) / 100),
+		Array.from({"length": n}, (x, i) => 2 * Math.cos(0.7 * i))
+	];
+}
+
+function mathjs_values(s, cols) {
+	// the values of s by math.evaluate, as an array (NaN where
+	// it is not a real number)
+	var n = cols[0].length;
+	var v;
+	try {
+		var scope = Object.assign({"x0": math.matrix(cols[0]), "x1": math.matrix(cols[1])}, GEjs.protected_functions);
+		v = math.evaluate(s, scope);
+	} catch (e) {
+		v = NaN;
+	}
+	var values = math.isMatrix(v) ? v.toArray() : Array(n).fill(v);
+	return values.map(x => (typeof x == "number") ? x : NaN);
+}
+
+function check(s, cols) {
+	// null if s compiles to the same values as math.evaluate, else
+	// a description of the difference
+	var f = GEjs.compile_phenotype(s, VARS);
+	if (f == null) {
+		return "does not compile";
+	}
+	var compiled = f(cols, cols[0].length);
+	if (compiled.some(isNaN)) {
+		return null; // the math.evaluate fallback is used
+	}
+	var expected = mathjs_values(s, cols);
+	for (var i = 0; i < compiled.length; i++) {
+		if (!Object.is(compiled[i], expected[i])) {
+			return "row " + i + ": compiled " + compiled[i] + ", math.evaluate " + expected[i];
+		}
+	}
+	return null;
+}
+
+function check_grammar(name, grammar, n, cols) {
+	// check n random individuals of grammar, printing any
+	// differences, and return the number of them
+	var ge = new GE(null, grammar, 1, 1, 0.2, 0.3, 8, 200, 1, {"verbose": false});
+	var checked = 0, failures = 0;
+	while (checked < n) {
+		var ind = ge.mapGenomeToIndividual(ge.random_ind());
+		if (ind == null) {
+			continue;
+		}
+		checked++;
+		var problem = check(ind[1], cols);
+		if (problem != null) {
+			failures++;
+			console.log(name + ": " + ind[1] + ": " + problem);
+		}
+	}
+	console.log(name + ": " + checked + " individuals, " + failures + " differ");
+	return failures;
+}
+
+function main(argv=process.argv.slice(2)) {
+	// returns the number of individuals which differ
+	var n = (argv.length > 0) ? Number(argv[0]) : 1000;
+	if (!Number.isInteger(n) || n < 1) {
+		throw new Error("N must be a positive integer: " + argv[0]);
+	}
+	var grammars = {};
+	if (argv.length > 1) {
+		for (var file of argv.slice(1)) {
+			grammars[file] = GEnode.loadFile(file);
+		}
+	} else {
+		for (var file of ["sr_grammar.bnf", "sr_protected_grammar.bnf"]) {
+			grammars[file] = GEnode.loadFile(path.join(__dirname, file));
+		}
+		grammars["whitelist"] = WHITELIST_GRAMMAR;
+	}
+	var cols = columns(100);
+	var failures = 0;
+	for (const [ name, grammar ] of Object.entries(grammars)) {
+		failures += check_grammar(name, grammar, n, cols);
+	}
+	return failures;
+}
+
+
+module.exports = {
+	check,
+	main
+};
+
+if (require.main === module) {
+	try {
+		process.exit((main() > 0) ? 1 : 0);
+	} catch (e) {
+		console.error("check_compile: " + e.message);
+		process.exit(1);
+	}
+}
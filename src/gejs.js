@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/*
+ * Command-line runner for GEjs experiments.
+ *
+ * gejs.js GRAMMAR FITNESS_MODULE [options]
+ *
+ * GRAMMAR is a grammar file (BNF or JSON) and FITNESS_MODULE a Node
+ * module exporting the fitness function, either as module.exports or
+ * as the export named with --fitness. Like any fitness function it
+ * should have a .maximise member, else we assume minimisation. For
+ * example
+ *
+ * node gejs.js sr_grammar.bnf GE.js --fitness sr_quartic --seed 1
+ *
+ * For symbolic regression on a dataset, give --csv instead of the
+ * fitness module. The grammar's <var> rule is replaced by the inputs,
+ * and we report the error of the best on the test set too:
+ *
+ * node gejs.js sr_grammar.bnf --csv data.csv --seed 1
+ *
+ * Licensed for use under GPL3
+ */
+
+
+"use strict";
+var path = require('path');
+var GEjs = require('./GE.js');
+var GEnode = require('./GEnode.js');
+var GE = GEjs.GE;
+
+
+const USAGE = `usage: gejs.js GRAMMAR FITNESS_MODULE [options]
+       gejs.js GRAMMAR --csv DATA [options]
+
+  --fitness NAME       the export of FITNESS_MODULE to use as fitness
+  --csv FILE           symbolic regression on FILE, with a header row
+  --target NAME        the column to predict (default the last)
+  --split P,P,P        train, validation, test proportions (default 0.6,0.2,0.2)
+  --constants          tune each constant c in the phenotypes
+  --linear-scaling     fit a + b * phenotype to the target
+  --popsize N          population size (default 100)
+  --generations N      number of generations (default 50)
+  --pmut P             probability of mutation (default 0.2)
+  --pxover P           probability of crossover (default 1)
+  --truncation P       truncation proportion (default 0.3)
+  --maxdepth N         maximum derivation tree depth (default 10)
+  --genomelength N     genome length (default 200)
+  --seed N             seed for the random number generator
+  --start SYMBOL       start symbol (default the first rule)
+  --log FILE           per-generation statistics, .csv or .jsonl
+  --population FILE    the whole population each generation, .csv or .jsonl
+  --checkpoint FILE    save the final state of the run, see GE.toJSON
+  --quiet              don't print statistics each generation
+  --help               show this message`;
+
+const OPTIONS = {
+	"fitness": {"type": "string"},
+	"csv": {"type": "string"},
+	"target": {"type": "string"},
+	"split": {"type": "string"},
+	"constants": {"type": "boolean", "default": false},
+	"linear-scaling": {"type": "boolean", "default": false},
+	"popsize": {"type": "string", "default": "100"},
+	"generations": {"type": "string", "default": "50"},
+	"pmut": {"type": "string", "default": "0.2"},
+	"pxover": {"type": "string", "default": "1"},
+	"truncation": {"type": "string", "default": "0.3"},
+	"maxdepth": {"type": "string", "default": "10"},
+	"genomelength": {"type": "string", "default": "200"},
+	"seed": {"type": "string"},
+	"start": {"type": "string"},
+	"log": {"type": "string"},
+	"population": {"type": "string"},
+	"checkpoint": {"type": "string"},
+	"quiet": {"type": "boolean", "default": false},
+	"help": {"type": "boolean", "default": false}
+};
+
+function parseArgs(argv) {
+	// {values, positionals} from the command line, as from
+	// util.parseArgs (which older Node lacks), for our OPTIONS:
+	// --name value or --name=value, and --flag for booleans
+	var values = {};
+	for (const [ name, opt ] of Object.entries(OPTIONS)) {
+		if (opt.default !== undefined) {
+			values[name] = opt.default;
+		}
+	}
+	var positionals = [];
+	for (var i = 0; i < argv.length; i++) {
+		var arg = argv[i];
+		if (arg == "--") {
+			positionals.push(...argv.slice(i + 1));
+			break;
+		}
+		if (!arg.startsWith("--")) {
+			positionals.push(arg);
+			continue;
+		}
+		var eq = arg.indexOf("=");
+		var name = (eq == -1) ? arg.slice(2) : arg.slice(2, eq);
+		var opt = OPTIONS[name];
+		if (opt === undefined) {
+			throw new Error("unknown option " + arg);
+		}
+		if (opt.type == "boolean") {
+			if (eq != -1) {
+				throw new Error("--" + name + " does not take a value");
+			}
+			values[name] = true;
+		} else if (eq != -1) {
+			values[name] = arg.slice(eq + 1);
+		} else if (i + 1 < argv.length) {
+			values[name] = argv[++i];
+		} else {
+			throw new Error("--" + name + " needs a value");
+		}
+	}
+	return {values, positionals};
+}
+
+function number(args, name, integer=false) {
+	// a numeric option, or an error saying which one is wrong
+	var x = Number(args[name]);
+	if (args[name].trim() == "" || !Number.isFinite(x) || (integer && !Number.isInteger(x))) {
+		throw new Error("--" + name + " must be " + (integer ? "an integer" : "a number") + ": " + args[name]);
+	}
+	return x;
+}
+
+function loadFitness(module_path, name) {
+	// the fitness function from a module, see the top of the file
+	var mod = require(path.resolve(module_path));
+	var fitness = (name == null) ? mod : mod[name];
+	if (typeof fitness != "function") {
+		throw new Error((name == null) ?
+						module_path + " does not export a function, use --fitness NAME" :
+						module_path + " has no function called " + name);
+	}
+	return fitness;
+}
+
+function main(argv=process.argv.slice(2)) {
+	// run an experiment as described by the command line and return
+	// the best individual
+	var parsed = parseArgs(argv);
+	var args = parsed.values;
+	if (args.help) {
+		console.log(USAGE);
+		return null;
+	}
+	if (parsed.positionals.length != ((args.csv == null) ? 2 : 1)) {
+		// an error, so scripts can tell the run didn't happen
+		throw new Error("wrong number of arguments\n" + USAGE);
+	}
+	var [grammar_file, fitness_module] = parsed.positionals;
+	var grammar = GEnode.loadFile(grammar_file);
+	var problem = null, fitness;
+	if (args.csv != null) {
+		var split;
+		if (args.split != null) {
+			split = args.split.split(",").map(Number);
+			if (split.length != 3 || split.some(x => !(x >= 0))) {
+				throw new Error("--split must be three proportions: " + args.split);
+			}
+		}
+		problem = GEnode.loadRegressionCSV(args.csv, {
+			"target": args.target,
+			"split": split,
+			"seed": (args.seed == null) ? null : number(args, "seed", true),
+			"grammar": grammar,
+			"constants": args.constants,
+			"linear_scaling": args["linear-scaling"]
+		});
+		grammar = problem.grammar;
+		fitness = problem.fitness;
+	} else {
+		fitness = loadFitness(fitness_module, args.fitness);
+	}
+	var options = {"pxover": number(args, "pxover"), "verbose": !args.quiet};
+	if (args.start != null) {
+		options.start_symbol = args.start;
+	}
+	var ge = new GE(fitness, grammar,
+					number(args, "popsize", true),
+					number(args, "generations", true),
+					number(args, "pmut"),
+					number(args, "truncation"),
+					number(args, "maxdepth", true),
+					number(args, "genomelength", true),
+					(args.seed == null) ? null : number(args, "seed", true),
+					options);
+	if (args.log != null || args.population != null) {
+		if (args.log == null) {
+			throw new Error("--population needs --log too");
+		}
+		// what ge.settings() can't tell: where the fitness came from
+		var info = (problem != null) ? {"problem": problem.settings} :
+			{"fitness_module": path.resolve(fitness_module), "fitness": args.fitness || null};
+		new GEnode.RunLogger(ge, args.log, args.population || null, info);
+	}
+	ge.init();
+	var best_ever = ge.evolve();
+	if (args.checkpoint != null) {
+		GEnode.saveCheckpoint(ge, args.checkpoint);
+	}
+	ge.describe_ind(best_ever);
+	if (problem != null) {
+		var report = problem.report(ge);
+		console.log("inputs", problem.inputs.map((x, i) => "x" + i + "=" + x).join(" "));
+		console.log("target", problem.target);
+		for (var part of ["train", "validation", "test"]) {
+			console.log(part + " RMSE", report[part]);
+		}
+	}
+	return best_ever;
+}
+
+
+module.exports = {
+	main
+};
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (e) {
+		console.error("gejs: " + e.message);
+		process.exit(1);
+	}
+}